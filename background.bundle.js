@@ -29016,70 +29016,1184 @@ var init_transformers = __esm({
   }
 });
 
+// settings.js
+var require_settings = __commonJS({
+  "settings.js"(exports2, module2) {
+    (function(root, factory) {
+      const api = factory();
+      if (typeof module2 === "object" && module2.exports) module2.exports = api;
+      else root.FocusSettings = api;
+    })(typeof self !== "undefined" ? self : exports2, () => {
+      const DEFAULT_DISTRACTION_LABELS = ["gaming", "anime", "music video", "entertainment", "vlog", "comedy", "movie"];
+      const STRICTNESS_MODES = ["zero-tolerance", "threshold", "margin"];
+      const DEFAULT_STRICTNESS = { mode: "zero-tolerance", threshold: 0.5, margin: 0.1 };
+      const MAX_LABEL_LENGTH = 40;
+      const DEFAULT_BLACKLIST = ["Mix -", "Music", "Song", "Lyrics", "Official", "Shorts", "Gameplay", "React", "Prank", "ASMR", "Trailer"];
+      const SUPPORTED_MODELS = {
+        classifier: [
+          { id: "Xenova/mobilebert-uncased-mnli", name: "MobileBERT MNLI (fastest)" },
+          { id: "Xenova/distilbert-base-uncased-mnli", name: "DistilBERT MNLI" },
+          { id: "Xenova/nli-deberta-v3-xsmall", name: "DeBERTa v3 xsmall NLI (most accurate)" }
+        ],
+        embedding: [
+          { id: "Xenova/all-MiniLM-L6-v2", name: "MiniLM L6 (fastest)" },
+          { id: "Xenova/bge-small-en-v1.5", name: "BGE small v1.5" }
+        ]
+      };
+      const WATCH_GATES = ["countdown", "reason"];
+      const DEFAULT_WATCH_GUARD = { enabled: true, gate: "countdown", countdownSeconds: 10, minReasonLength: 15, dailyOverrideMinutes: 15 };
+      const ALL_DAYS = [0, 1, 2, 3, 4, 5, 6];
+      const ALWAYS_ON_WINDOW = { days: ALL_DAYS, start: "00:00", end: "24:00" };
+      const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$|^24:00$/;
+      function clamp(value, min2, max2, fallback) {
+        const number = Number(value);
+        if (!Number.isFinite(number)) return fallback;
+        return Math.min(max2, Math.max(min2, number));
+      }
+      function normalizeLabels(labels) {
+        if (!Array.isArray(labels)) return DEFAULT_DISTRACTION_LABELS.slice();
+        const cleaned = [];
+        labels.forEach((label) => {
+          if (typeof label !== "string") return;
+          const value = label.trim().toLowerCase().slice(0, MAX_LABEL_LENGTH);
+          if (value && !cleaned.includes(value)) cleaned.push(value);
+        });
+        return cleaned.length ? cleaned : DEFAULT_DISTRACTION_LABELS.slice();
+      }
+      function normalizeStrictness(strictness) {
+        const value = strictness && typeof strictness === "object" ? strictness : {};
+        return {
+          mode: STRICTNESS_MODES.includes(value.mode) ? value.mode : DEFAULT_STRICTNESS.mode,
+          threshold: clamp(value.threshold, 0, 1, DEFAULT_STRICTNESS.threshold),
+          margin: clamp(value.margin, 0, 1, DEFAULT_STRICTNESS.margin)
+        };
+      }
+      function normalizeModelId(kind, modelId) {
+        const models = SUPPORTED_MODELS[kind];
+        return models.some((model) => model.id === modelId) ? modelId : models[0].id;
+      }
+      function normalizeSchedule(schedule) {
+        if (!Array.isArray(schedule)) return [];
+        return schedule.filter((slot) => slot && typeof slot === "object").map((slot) => ({
+          days: ALL_DAYS.filter((day) => Array.isArray(slot.days) && slot.days.includes(day)),
+          start: TIME_PATTERN.test(slot.start) ? slot.start : "00:00",
+          end: TIME_PATTERN.test(slot.end) ? slot.end : "24:00"
+        })).filter((slot) => slot.days.length > 0);
+      }
+      function createProfileId() {
+        return `profile-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+      }
+      function normalizeProfile(profile, index) {
+        const value = profile && typeof profile === "object" ? profile : {};
+        const fallbackId = Number.isInteger(index) ? `profile-${index}` : createProfileId();
+        return {
+          id: typeof value.id === "string" && value.id ? value.id : fallbackId,
+          name: typeof value.name === "string" && value.name.trim() ? value.name.trim() : "Untitled",
+          goal: typeof value.goal === "string" ? value.goal.trim() : "",
+          blacklist: Array.isArray(value.blacklist) ? value.blacklist.filter((word) => typeof word === "string" && word.trim()).map((word) => word.trim()) : DEFAULT_BLACKLIST.slice(),
+          strictness: normalizeStrictness(value.strictness),
+          schedule: normalizeSchedule(value.schedule)
+        };
+      }
+      function getProfiles(stored) {
+        if (Array.isArray(stored.profiles)) return stored.profiles.map((profile, i) => normalizeProfile(profile, i));
+        return [normalizeProfile({
+          id: "default",
+          name: "Default",
+          goal: stored.focusGoal,
+          strictness: stored.strictness,
+          schedule: [ALWAYS_ON_WINDOW]
+        })];
+      }
+      function normalizeWatchGuard(guard) {
+        const value = guard && typeof guard === "object" ? guard : {};
+        return {
+          enabled: value.enabled !== false,
+          gate: WATCH_GATES.includes(value.gate) ? value.gate : DEFAULT_WATCH_GUARD.gate,
+          countdownSeconds: Math.round(clamp(value.countdownSeconds, 0, 300, DEFAULT_WATCH_GUARD.countdownSeconds)),
+          minReasonLength: Math.round(clamp(value.minReasonLength, 1, 200, DEFAULT_WATCH_GUARD.minReasonLength)),
+          dailyOverrideMinutes: Math.round(clamp(value.dailyOverrideMinutes, 0, 24 * 60, DEFAULT_WATCH_GUARD.dailyOverrideMinutes))
+        };
+      }
+      function localDate(date) {
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}-${String(date.getDate()).padStart(2, "0")}`;
+      }
+      function getOverrideSecondsLeft(usage, guard, date) {
+        const used = usage && usage.date === localDate(date) ? Number(usage.seconds) || 0 : 0;
+        return Math.max(0, guard.dailyOverrideMinutes * 60 - used);
+      }
+      function addOverrideSeconds(usage, seconds, date) {
+        const today = localDate(date);
+        const used = usage && usage.date === today ? Number(usage.seconds) || 0 : 0;
+        return { date: today, seconds: used + seconds };
+      }
+      function toMinutes(time) {
+        const [hours, minutes] = time.split(":").map(Number);
+        return hours * 60 + minutes;
+      }
+      function isWindowActive(slot, date) {
+        const now = date.getHours() * 60 + date.getMinutes();
+        const start = toMinutes(slot.start);
+        const end = toMinutes(slot.end) || 24 * 60;
+        const today = date.getDay();
+        if (start <= end) return slot.days.includes(today) && now >= start && now < end;
+        const yesterday = (today + 6) % 7;
+        return slot.days.includes(today) && now >= start || slot.days.includes(yesterday) && now < end;
+      }
+      function getScheduledProfile(profiles, date) {
+        return profiles.find((profile) => profile.schedule.some((slot) => isWindowActive(slot, date))) || null;
+      }
+      function resolveActiveProfileId(profiles, override, date) {
+        if (override && typeof override === "object") {
+          if (override.profileId === null) return null;
+          if (profiles.some((profile) => profile.id === override.profileId)) return override.profileId;
+        }
+        const scheduled = getScheduledProfile(profiles, date);
+        return scheduled ? scheduled.id : null;
+      }
+      function getActiveProfile(stored) {
+        const profiles = getProfiles(stored);
+        const activeId = "activeProfileId" in stored ? stored.activeProfileId : resolveActiveProfileId(profiles, stored.profileOverride, /* @__PURE__ */ new Date());
+        return profiles.find((profile) => profile.id === activeId) || null;
+      }
+      const VERDICTS = ["show", "hide"];
+      function normalizeCorrections(corrections) {
+        const value = corrections && typeof corrections === "object" ? corrections : {};
+        const isValid = (entry) => entry && typeof entry.id === "string" && VERDICTS.includes(entry.verdict);
+        return {
+          titles: Array.isArray(value.titles) ? value.titles.filter((entry) => isValid(entry) && typeof entry.title === "string") : [],
+          channels: Array.isArray(value.channels) ? value.channels.filter((entry) => isValid(entry) && (entry.channel || entry.handle)) : []
+        };
+      }
+      function findCorrection(corrections, video, goal) {
+        const title = corrections.titles.find((entry) => entry.title === video.title && entry.goal === goal);
+        if (title) return { kind: "title", ...title };
+        const sameText = (a, b) => !!a && !!b && a.toLowerCase() === b.toLowerCase();
+        const channel = corrections.channels.find((entry) => sameText(entry.handle, video.handle) || sameText(entry.channel, video.channel));
+        return channel ? { kind: "channel", ...channel } : null;
+      }
+      function shouldShowResult(result, goal, strictness) {
+        const topLabel = result.labels[0];
+        if (topLabel === goal) return true;
+        const goalIndex = result.labels.indexOf(goal);
+        const goalScore = goalIndex === -1 ? 0 : result.scores[goalIndex];
+        const distractionScore = result.scores[0];
+        switch (strictness.mode) {
+          case "threshold":
+            return distractionScore < strictness.threshold;
+          case "margin":
+            return distractionScore - goalScore < strictness.margin;
+          default:
+            return false;
+        }
+      }
+      return {
+        ALL_DAYS,
+        DEFAULT_BLACKLIST,
+        DEFAULT_DISTRACTION_LABELS,
+        DEFAULT_STRICTNESS,
+        DEFAULT_WATCH_GUARD,
+        STRICTNESS_MODES,
+        SUPPORTED_MODELS,
+        WATCH_GATES,
+        addOverrideSeconds,
+        createProfileId,
+        findCorrection,
+        getActiveProfile,
+        getOverrideSecondsLeft,
+        getProfiles,
+        getScheduledProfile,
+        isWindowActive,
+        normalizeCorrections,
+        normalizeLabels,
+        normalizeModelId,
+        normalizeProfile,
+        normalizeSchedule,
+        normalizeStrictness,
+        normalizeWatchGuard,
+        resolveActiveProfileId,
+        shouldShowResult
+      };
+    });
+  }
+});
+
+// rules.js
+var require_rules = __commonJS({
+  "rules.js"(exports2, module2) {
+    (function(root, factory) {
+      const api = factory();
+      if (typeof module2 === "object" && module2.exports) module2.exports = api;
+      else root.FocusRules = api;
+    })(typeof self !== "undefined" ? self : exports2, () => {
+      const ACTIONS = ["allow", "block"];
+      const MATCH_TYPES = {
+        title: ["keyword", "word", "regex"],
+        channel: ["exact", "keyword", "regex"],
+        duration: ["shorter", "longer"]
+      };
+      const MATCH_DESCRIPTIONS = {
+        keyword: "contains",
+        word: "contains the word",
+        regex: "matches",
+        exact: "is",
+        shorter: "is shorter than (minutes)",
+        longer: "is longer than (minutes)"
+      };
+      const MAX_REGEX_LENGTH = 100;
+      const REPEATS = ["*", "+", "{"];
+      function escapeRegExp2(text) {
+        return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+      }
+      function wordPattern(word) {
+        return new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegExp2(word)}($|[^\\p{L}\\p{N}])`, "iu");
+      }
+      function hasNestedQuantifier(pattern) {
+        const groups = [];
+        let inClass = false;
+        for (let i = 0; i < pattern.length; i++) {
+          const char = pattern[i];
+          if (char === "\\") {
+            i++;
+          } else if (inClass) {
+            if (char === "]") inClass = false;
+          } else if (char === "[") {
+            inClass = true;
+          } else if (char === "(") {
+            groups.push(false);
+          } else if (char === ")") {
+            const repeatsInside = groups.pop();
+            const repeated = REPEATS.includes(pattern[i + 1]);
+            if (repeatsInside && repeated) return true;
+            if ((repeatsInside || repeated) && groups.length) groups[groups.length - 1] = true;
+          } else if (REPEATS.includes(char) && groups.length) {
+            groups[groups.length - 1] = true;
+          }
+        }
+        return false;
+      }
+      function validateRule(rule) {
+        if (!rule || !ACTIONS.includes(rule.action)) return "Choose allow or block.";
+        if (!MATCH_TYPES[rule.field]) return "Choose title, channel or duration.";
+        if (!MATCH_TYPES[rule.field].includes(rule.match)) return `"${rule.match}" does not work on ${rule.field}.`;
+        const value = typeof rule.value === "string" ? rule.value.trim() : "";
+        if (!value) return "Enter a value to match.";
+        if (rule.field === "duration" && !(Number(value) > 0)) return "Duration must be a number of minutes.";
+        if (rule.match === "regex") {
+          try {
+            new RegExp(value, "iu");
+          } catch (err) {
+            return err.message;
+          }
+          if (value.length > MAX_REGEX_LENGTH) return `Keep regular expressions to ${MAX_REGEX_LENGTH} characters or fewer.`;
+          if (hasNestedQuantifier(value)) return "Nested repeats like (a+)+ can freeze YouTube. Repeat only the innermost part.";
+        }
+        return null;
+      }
+      function normalizeRules(rules) {
+        if (!Array.isArray(rules)) return [];
+        return rules.filter((rule) => validateRule(rule) === null).map((rule) => ({
+          id: typeof rule.id === "string" && rule.id ? rule.id : `rule-${Math.random().toString(36).slice(2, 10)}`,
+          action: rule.action,
+          field: rule.field,
+          match: rule.match,
+          value: rule.value.trim(),
+          enabled: rule.enabled !== false
+        }));
+      }
+      function parseDuration(text) {
+        if (!text) return null;
+        const match = text.trim().match(/^(\d+):(\d{2})(?::(\d{2}))?$/);
+        if (!match) return null;
+        const parts = match.slice(1).filter((part) => part !== void 0).map(Number);
+        return parts.reduce((total, part) => total * 60 + part, 0);
+      }
+      function compileMatcher(rule) {
+        const value = rule.value;
+        const lowerValue = value.toLowerCase();
+        if (rule.field === "duration") {
+          const limit = Number(value) * 60;
+          return (video) => typeof video.duration === "number" && (rule.match === "shorter" ? video.duration < limit : video.duration > limit);
+        }
+        let test;
+        if (rule.match === "regex") {
+          const pattern = new RegExp(value, "iu");
+          test = (text) => pattern.test(text);
+        } else if (rule.match === "word") {
+          const pattern = wordPattern(value);
+          test = (text) => pattern.test(text);
+        } else if (rule.match === "exact") {
+          const target = lowerValue.replace(/^@/, "");
+          test = (text) => text.toLowerCase().replace(/^@/, "") === target;
+        } else {
+          test = (text) => text.toLowerCase().includes(lowerValue);
+        }
+        if (rule.field === "channel") {
+          return (video) => [video.channel, video.handle].some((text) => text && test(text));
+        }
+        return (video) => !!video.title && test(video.title);
+      }
+      function compileRules(rules) {
+        return normalizeRules(rules).filter((rule) => rule.enabled).map((rule) => ({ rule, test: compileMatcher(rule) }));
+      }
+      function findMatchingRule(compiled, video) {
+        const match = compiled.find((entry) => entry.test(video));
+        return match ? match.rule : null;
+      }
+      function blacklistToRules(words) {
+        return (words || []).map((word, i) => ({
+          id: `blacklist-${i}`,
+          action: "block",
+          field: "title",
+          match: "word",
+          value: word
+        }));
+      }
+      function describeRule(rule) {
+        const action = rule.action === "allow" ? "Allow" : "Block";
+        return `${action}: ${rule.field} ${MATCH_DESCRIPTIONS[rule.match] || rule.match} "${rule.value}"`;
+      }
+      return {
+        ACTIONS,
+        MATCH_TYPES,
+        blacklistToRules,
+        compileRules,
+        describeRule,
+        findMatchingRule,
+        normalizeRules,
+        parseDuration,
+        validateRule
+      };
+    });
+  }
+});
+
+// schema.js
+var require_schema = __commonJS({
+  "schema.js"(exports2, module2) {
+    (function(root, factory) {
+      const isModule = typeof module2 === "object" && module2.exports;
+      const api = isModule ? factory(require_settings(), require_rules()) : factory(root.FocusSettings, root.FocusRules);
+      if (isModule) module2.exports = api;
+      else root.FocusSchema = api;
+    })(typeof self !== "undefined" ? self : exports2, (FocusSettings, FocusRules) => {
+      const SCHEMA_VERSION = 1;
+      const FILE_FORMAT = "youtube-focus-settings";
+      const SETTING_CLEANERS = {
+        profiles: (value) => Array.isArray(value) && value.length ? value.map((profile, i) => FocusSettings.normalizeProfile(profile, i)) : void 0,
+        rules: (value) => FocusRules.normalizeRules(value),
+        distractionLabels: (value) => FocusSettings.normalizeLabels(value),
+        enabledSurfaces: (value) => {
+          if (!value || typeof value !== "object") return void 0;
+          const surfaces = {};
+          Object.keys(value).forEach((name2) => {
+            if (typeof value[name2] === "boolean") surfaces[name2] = value[name2];
+          });
+          return surfaces;
+        },
+        revealMode: (value) => value === true,
+        watchGuard: (value) => FocusSettings.normalizeWatchGuard(value),
+        classifierModel: (value) => FocusSettings.normalizeModelId("classifier", value),
+        embeddingModel: (value) => FocusSettings.normalizeModelId("embedding", value)
+      };
+      const SETTINGS_KEYS = Object.keys(SETTING_CLEANERS);
+      const LEGACY_KEYS = ["focusGoal", "strictness"];
+      const MIGRATIONS = [
+        {
+          version: 1,
+          // Before profiles there was a bare `focusGoal` (and later `strictness`): it becomes the Default profile
+          migrate(settings) {
+            const { focusGoal, strictness, ...rest } = settings;
+            const hasLegacyKeys = focusGoal !== void 0 || strictness !== void 0;
+            if (hasLegacyKeys && !Array.isArray(rest.profiles)) rest.profiles = FocusSettings.getProfiles({ focusGoal, strictness });
+            return rest;
+          }
+        }
+      ];
+      function migrateSettings(settings, version) {
+        const from = Number.isInteger(version) && version > 0 ? version : 0;
+        if (from > SCHEMA_VERSION) {
+          throw new Error(`These settings were written by a newer version of YouTube Focus (schema ${from}). Update the extension first.`);
+        }
+        return MIGRATIONS.filter((step) => step.version > from).reduce((current, step) => step.migrate(current), { ...settings });
+      }
+      function normalizeSettings(settings) {
+        const normalized = {};
+        SETTINGS_KEYS.forEach((key) => {
+          if (settings[key] === void 0) return;
+          const value = SETTING_CLEANERS[key](settings[key]);
+          if (value !== void 0) normalized[key] = value;
+        });
+        return normalized;
+      }
+      function readSettings(stored) {
+        return normalizeSettings(migrateSettings(stored, stored.settingsVersion));
+      }
+      function createSettingsFile(stored, date) {
+        return {
+          format: FILE_FORMAT,
+          version: SCHEMA_VERSION,
+          exportedAt: date.toISOString(),
+          settings: readSettings(stored)
+        };
+      }
+      function parseSettingsFile(text) {
+        let data;
+        try {
+          data = JSON.parse(text);
+        } catch (err) {
+          throw new Error(`This is not a JSON file (${err.message}).`);
+        }
+        if (!data || typeof data !== "object" || Array.isArray(data)) throw new Error("The file does not contain settings.");
+        const isWrapped = data.format === FILE_FORMAT;
+        if (!isWrapped && !SETTINGS_KEYS.concat(LEGACY_KEYS).some((key) => key in data)) {
+          throw new Error("The file does not contain any YouTube Focus settings.");
+        }
+        if (isWrapped && (!data.settings || typeof data.settings !== "object")) throw new Error("The file does not contain settings.");
+        const settings = normalizeSettings(migrateSettings(isWrapped ? data.settings : data, isWrapped ? data.version : 0));
+        if (!Object.keys(settings).length) throw new Error("The file does not contain any YouTube Focus settings.");
+        return settings;
+      }
+      const SYNC_CHUNK_CHARS = 2500;
+      const SYNC_META_KEY = "focusSettings";
+      const SYNC_CHUNK_PREFIX = "focusSettings_";
+      function itemBytes(key, value) {
+        return new TextEncoder().encode(key + JSON.stringify(value)).length;
+      }
+      function toSyncItems(settings, date) {
+        const text = JSON.stringify(settings);
+        const chunks = [];
+        for (let start = 0; start < text.length; ) {
+          let end = Math.min(start + SYNC_CHUNK_CHARS, text.length);
+          const last = text.charCodeAt(end - 1);
+          if (end < text.length && last >= 55296 && last <= 56319) end--;
+          chunks.push(text.slice(start, end));
+          start = end;
+        }
+        const items = { [SYNC_META_KEY]: { version: SCHEMA_VERSION, chunks: chunks.length, updatedAt: date.getTime() } };
+        chunks.forEach((chunk, i) => {
+          items[`${SYNC_CHUNK_PREFIX}${i}`] = chunk;
+        });
+        const bytes = Object.keys(items).reduce((total, key) => total + itemBytes(key, items[key]), 0);
+        return { items, bytes };
+      }
+      function fromSyncItems(items) {
+        const meta = items[SYNC_META_KEY];
+        if (!meta) return null;
+        let text = "";
+        for (let i = 0; i < meta.chunks; i++) {
+          const chunk = items[`${SYNC_CHUNK_PREFIX}${i}`];
+          if (typeof chunk !== "string") throw new Error("Synced settings are incomplete.");
+          text += chunk;
+        }
+        let settings;
+        try {
+          settings = JSON.parse(text);
+        } catch (err) {
+          throw new Error("Synced settings are incomplete.");
+        }
+        return normalizeSettings(migrateSettings(settings, meta.version));
+      }
+      function staleSyncKeys(items, chunkCount) {
+        return Object.keys(items).filter((key) => key.startsWith(SYNC_CHUNK_PREFIX) && Number(key.slice(SYNC_CHUNK_PREFIX.length)) >= chunkCount);
+      }
+      return {
+        FILE_FORMAT,
+        SCHEMA_VERSION,
+        LEGACY_KEYS,
+        SETTINGS_KEYS,
+        SYNC_META_KEY,
+        createSettingsFile,
+        fromSyncItems,
+        migrateSettings,
+        normalizeSettings,
+        parseSettingsFile,
+        readSettings,
+        staleSyncKeys,
+        toSyncItems
+      };
+    });
+  }
+});
+
+// classify-queue.js
+var require_classify_queue = __commonJS({
+  "classify-queue.js"(exports2, module2) {
+    (function(root, factory) {
+      const isModule = typeof module2 === "object" && module2.exports;
+      const api = isModule ? factory(require_settings()) : factory(root.FocusSettings);
+      if (isModule) module2.exports = api;
+      else root.FocusClassifyQueue = api;
+    })(typeof self !== "undefined" ? self : exports2, (FocusSettings) => {
+      const DEFAULT_BATCH_SIZE = 8;
+      function getLabels(goal, distractionLabels) {
+        const distractions = distractionLabels.filter((label) => label !== goal.toLowerCase());
+        return [goal, ...distractions];
+      }
+      function decide(result, goal, strictness) {
+        return {
+          shouldShow: FocusSettings.shouldShowResult(result, goal, strictness),
+          label: result.labels[0],
+          confidence: result.scores[0]
+        };
+      }
+      function createClassifyQueue(options) {
+        const batchSize = options.batchSize || DEFAULT_BATCH_SIZE;
+        const queue = [];
+        const pending = /* @__PURE__ */ new Map();
+        let inFlight = 0;
+        let isDraining = false;
+        function getQueueDepth() {
+          return queue.length + inFlight;
+        }
+        async function drainQueue() {
+          if (isDraining) return;
+          isDraining = true;
+          try {
+            while (queue.length) {
+              const { group, goal, labels, strictness } = queue[0];
+              const batch = [];
+              for (let i = 0; i < queue.length && batch.length < batchSize; ) {
+                if (queue[i].group === group) batch.push(queue.splice(i, 1)[0]);
+                else i++;
+              }
+              inFlight = batch.length;
+              try {
+                const titles = batch.map((item) => item.title);
+                const startedAt = performance.now();
+                const model = await options.getModel();
+                if (!model) throw new Error("No classifier loaded");
+                const output = await model(titles, labels, { multi_label: false });
+                if (options.onInference) options.onInference(batch.length, performance.now() - startedAt);
+                const results = Array.isArray(output) ? output : [output];
+                batch.forEach((item, i) => {
+                  const result = results[i];
+                  console.log(`[AI] "${item.title}" -> ${result.labels[0]} (${(result.scores[0] * 100).toFixed(0)}%)`);
+                  options.cache.set(item.key, result);
+                  item.resolve(decide(result, goal, strictness));
+                });
+              } catch (err) {
+                console.warn("[Background] Batch failed", err);
+                batch.forEach((item) => item.resolve({ shouldShow: true }));
+              }
+              inFlight = 0;
+            }
+          } finally {
+            isDraining = false;
+          }
+        }
+        async function classify(title, goal) {
+          const config = await options.getConfig();
+          const labels = getLabels(goal, config.labels);
+          const group = `${config.modelId}\0${goal}\0${labels.join("|")}`;
+          const key = `${group}\0${title}`;
+          const cached = await options.cache.get(key);
+          if (cached) return decide(cached, goal, config.strictness);
+          if (!await options.getModel()) return { shouldShow: true };
+          if (pending.has(key)) return pending.get(key);
+          const promise = new Promise((resolve) => {
+            queue.push({ key, group, title, goal, labels, strictness: config.strictness, resolve });
+          }).finally(() => pending.delete(key));
+          pending.set(key, promise);
+          drainQueue();
+          return promise;
+        }
+        return { classify, getQueueDepth };
+      }
+      function classifyBatch(items, classifyTitle) {
+        const list = Array.isArray(items) ? items : [];
+        return Promise.all(list.map((item) => classifyTitle(item.title, item.goal).catch(() => ({ shouldShow: true }))));
+      }
+      return {
+        classifyBatch,
+        createClassifyQueue,
+        decide,
+        getLabels
+      };
+    });
+  }
+});
+
 // background.js
 var require_background = __commonJS({
   "background.js"() {
     init_transformers();
+    var import_settings = __toESM(require_settings());
+    var import_schema = __toESM(require_schema());
+    var import_classify_queue = __toESM(require_classify_queue());
     try {
-      env.allowLocalModels = false;
-      env.useBrowserCache = true;
+      env.allowRemoteModels = false;
+      env.allowLocalModels = true;
+      env.localModelPath = chrome.runtime.getURL("models/");
+      env.useBrowserCache = false;
+      env.backends.onnx.wasm.wasmPaths = chrome.runtime.getURL("wasm/");
       env.backends.onnx.wasm.numThreads = 1;
       env.backends.onnx.wasm.proxy = false;
     } catch (err) {
       console.warn("[Background] env config failed", err);
     }
-    var classifier = null;
-    async function initClassifier() {
-      if (classifier) return;
+    var modelState = {
+      // `fallbackFrom` is the chosen model when its files are missing and the default runs instead
+      classifier: { status: "idle", progress: 0, model: null, error: null, fallbackFrom: null },
+      embedding: { status: "idle", progress: 0, model: null, error: null, fallbackFrom: null }
+    };
+    function updateModelState(kind, changes) {
+      Object.assign(modelState[kind], changes);
+      chrome.runtime.sendMessage({ type: "modelStatus", state: modelState }).catch(() => {
+      });
+    }
+    function trackProgress(kind) {
+      const files = /* @__PURE__ */ new Map();
+      return (event) => {
+        if (event.status !== "progress" || !event.total) return;
+        files.set(event.file, { loaded: event.loaded, total: event.total });
+        let loaded = 0;
+        let total = 0;
+        files.forEach((file) => {
+          loaded += file.loaded;
+          total += file.total;
+        });
+        const progress = Math.floor(loaded / total * 100) / 100;
+        if (progress !== modelState[kind].progress) updateModelState(kind, { progress });
+      };
+    }
+    async function loadModel(kind, task, modelId) {
+      updateModelState(kind, { status: "loading", progress: 0, model: modelId, error: null, fallbackFrom: null });
       try {
-        console.log("[Background] Loading Zero Tolerance Model...");
-        classifier = await pipeline("zero-shot-classification", "Xenova/mobilebert-uncased-mnli");
-        console.log("[Background] Model Ready");
+        console.log(`[Background] Loading ${modelId}...`);
+        const model = await pipeline(task, modelId, { progress_callback: trackProgress(kind) });
+        if (modelState[kind].model !== modelId) return null;
+        updateModelState(kind, { status: "ready", progress: 1 });
+        console.log(`[Background] ${modelId} Ready`);
+        return model;
       } catch (err) {
         console.error("[Background] Load Error", err);
+        if (modelState[kind].model === modelId) updateModelState(kind, { status: "error", error: String(err && err.message || err) });
+        return null;
       }
     }
-    initClassifier();
-    chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-      if (!message || message.type !== "classify") return;
-      if (!classifier) {
-        sendResponse({ shouldShow: true });
-        return true;
+    var classifier = null;
+    var classifierPromise = null;
+    var chosenClassifier = null;
+    function initClassifier(modelId) {
+      chosenClassifier = modelId;
+      if (modelState.classifier.model === modelId && classifierPromise) {
+        if (modelState.classifier.fallbackFrom) updateModelState("classifier", { fallbackFrom: null });
+        return classifierPromise;
+      }
+      classifier = null;
+      classifierPromise = loadModel("classifier", "zero-shot-classification", modelId).then(async (model) => {
+        const defaultId = import_settings.default.normalizeModelId("classifier");
+        const failed = modelState.classifier.model === modelId && modelState.classifier.status === "error";
+        if (!model && failed && modelId !== defaultId) {
+          console.warn(`[Background] ${modelId} unavailable, falling back to ${defaultId}`);
+          model = await loadModel("classifier", "zero-shot-classification", defaultId);
+          if (model && chosenClassifier === modelId) updateModelState("classifier", { fallbackFrom: modelId });
+        }
+        if (model) classifier = model;
+        return classifier;
+      });
+      return classifierPromise;
+    }
+    var modelsChosen = chrome.storage.local.get(["classifierModel", "embeddingModel"]).then((stored) => {
+      initClassifier(import_settings.default.normalizeModelId("classifier", stored.classifierModel));
+      setEmbeddingModel(import_settings.default.normalizeModelId("embedding", stored.embeddingModel));
+    }).catch((err) => console.warn("[Background] Model selection failed", err));
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName !== "local") return;
+      if (changes.classifierModel) initClassifier(import_settings.default.normalizeModelId("classifier", changes.classifierModel.newValue));
+      if (changes.embeddingModel) setEmbeddingModel(import_settings.default.normalizeModelId("embedding", changes.embeddingModel.newValue));
+    });
+    async function migrateStorage() {
+      const stored = await chrome.storage.local.get(null);
+      if (stored.settingsVersion === import_schema.default.SCHEMA_VERSION) return;
+      const migrated = import_schema.default.migrateSettings(stored, stored.settingsVersion);
+      const updates = { settingsVersion: import_schema.default.SCHEMA_VERSION };
+      import_schema.default.SETTINGS_KEYS.forEach((key) => {
+        if (migrated[key] !== void 0 && migrated[key] !== stored[key]) updates[key] = migrated[key];
+      });
+      const removed = Object.keys(stored).filter((key) => !(key in migrated));
+      await chrome.storage.local.set(updates);
+      if (removed.length) await chrome.storage.local.remove(removed);
+      console.log(`[Background] Settings migrated from schema ${stored.settingsVersion || 0} to ${import_schema.default.SCHEMA_VERSION}`);
+    }
+    var storageReady = migrateStorage().catch((err) => console.warn("[Background] Settings migration failed", err));
+    var PROFILE_KEYS = ["profiles", "profileOverride", "activeProfileId", "focusGoal", "strictness"];
+    var filterConfig = {
+      labels: import_settings.default.DEFAULT_DISTRACTION_LABELS.slice(),
+      strictness: import_settings.default.normalizeStrictness(null)
+    };
+    async function refreshFilterConfig() {
+      const stored = await chrome.storage.local.get(["distractionLabels", ...PROFILE_KEYS]);
+      const profile = import_settings.default.getActiveProfile(stored);
+      filterConfig.labels = import_settings.default.normalizeLabels(stored.distractionLabels);
+      filterConfig.strictness = profile ? profile.strictness : import_settings.default.normalizeStrictness(null);
+    }
+    var configReady = refreshFilterConfig().catch((err) => console.warn("[Background] Config load failed", err));
+    var SCHEDULE_ALARM = "profile-schedule";
+    async function applyProfileSchedule() {
+      await storageReady;
+      const stored = await chrome.storage.local.get(PROFILE_KEYS);
+      const profiles = import_settings.default.getProfiles(stored);
+      const activeProfileId = import_settings.default.resolveActiveProfileId(profiles, stored.profileOverride, /* @__PURE__ */ new Date());
+      if (stored.activeProfileId !== activeProfileId || !("activeProfileId" in stored)) {
+        console.log(`[Background] Active profile -> ${activeProfileId || "none (filtering off)"}`);
+        await chrome.storage.local.set({ activeProfileId });
       }
-      (async () => {
-        try {
-          const labels = [
-            message.goal,
-            // Your Goal (e.g. "Learn Python")
-            "gaming",
-            // Distraction
-            "anime",
-            // Distraction
-            "music video",
-            // Distraction
-            "entertainment",
-            // Distraction
-            "vlog",
-            // Distraction
-            "comedy",
-            // Distraction
-            "movie"
-            // Distraction
-          ];
-          const result = await classifier(message.title, labels, { multi_label: false });
-          const bestMatch = result.labels[0];
-          const confidence = result.scores[0];
-          console.log(`[AI] "${message.title}" -> ${bestMatch} (${(confidence * 100).toFixed(0)}%)`);
-          if (bestMatch === message.goal) {
-            sendResponse({ shouldShow: true });
-          } else {
-            sendResponse({ shouldShow: false });
+    }
+    chrome.alarms.get(SCHEDULE_ALARM).then((alarm) => {
+      if (alarm) return;
+      chrome.alarms.create(SCHEDULE_ALARM, { when: Math.ceil(Date.now() / 6e4) * 6e4, periodInMinutes: 1 });
+    });
+    chrome.alarms.onAlarm.addListener((alarm) => {
+      if (alarm.name === SCHEDULE_ALARM) applyProfileSchedule().catch((err) => console.warn("[Background] Schedule failed", err));
+    });
+    applyProfileSchedule().catch((err) => console.warn("[Background] Schedule failed", err));
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName !== "local") return;
+      if (changes.profiles || changes.profileOverride) applyProfileSchedule().catch((err) => console.warn("[Background] Schedule failed", err));
+      if (changes.distractionLabels || changes.profiles || changes.activeProfileId) {
+        configReady = refreshFilterConfig().catch((err) => console.warn("[Background] Config load failed", err));
+      }
+    });
+    var SYNC_DEBOUNCE_MS = 5e3;
+    var SYNC_RETRY_MS = 60 * 1e3;
+    var syncTimer = null;
+    var syncChain = Promise.resolve();
+    function setSyncStatus(ok, message) {
+      return chrome.storage.local.set({ syncStatus: { ok, message, ts: Date.now() } });
+    }
+    function runSync(task) {
+      syncChain = syncChain.then(task).catch((err) => {
+        console.warn("[Background] Sync failed", err);
+        setSyncStatus(false, `Sync failed: ${err.message}`);
+      });
+      return syncChain;
+    }
+    function schedulePush(delay = SYNC_DEBOUNCE_MS) {
+      clearTimeout(syncTimer);
+      syncTimer = setTimeout(() => runSync(() => pushSettings().catch((err) => {
+        schedulePush(SYNC_RETRY_MS);
+        throw err;
+      })), delay);
+    }
+    async function pushSettings() {
+      const stored = await chrome.storage.local.get(null);
+      if (!stored.syncEnabled) return;
+      const settings = import_schema.default.readSettings(stored);
+      const remoteItems = await chrome.storage.sync.get(null);
+      const meta = remoteItems[import_schema.default.SYNC_META_KEY];
+      if (meta && meta.version > import_schema.default.SCHEMA_VERSION) {
+        await setSyncStatus(false, "Another browser syncs settings from a newer version of YouTube Focus. Update this one to keep syncing.");
+        return;
+      }
+      let remote = null;
+      try {
+        remote = import_schema.default.fromSyncItems(remoteItems);
+      } catch (err) {
+      }
+      if (remote && JSON.stringify(remote) === JSON.stringify(settings)) return;
+      const { items, bytes } = import_schema.default.toSyncItems(settings, /* @__PURE__ */ new Date());
+      const quota = chrome.storage.sync.QUOTA_BYTES;
+      if (bytes > quota) {
+        await setSyncStatus(false, `Settings are too large to sync (${Math.ceil(bytes / 1024)} KB of ${Math.floor(quota / 1024)} KB). Remove some rules or profiles.`);
+        return;
+      }
+      const stale = import_schema.default.staleSyncKeys(remoteItems, items[import_schema.default.SYNC_META_KEY].chunks);
+      if (stale.length) await chrome.storage.sync.remove(stale);
+      await chrome.storage.sync.set(items);
+      await setSyncStatus(true, `Settings synced (${Math.ceil(bytes / 1024)} KB)`);
+    }
+    async function pullSettings() {
+      const stored = await chrome.storage.local.get(null);
+      if (!stored.syncEnabled) return false;
+      const remote = import_schema.default.fromSyncItems(await chrome.storage.sync.get(null));
+      if (!remote) return false;
+      const local = import_schema.default.readSettings(stored);
+      const updates = {};
+      Object.keys(remote).forEach((key) => {
+        if (JSON.stringify(remote[key]) !== JSON.stringify(local[key])) updates[key] = remote[key];
+      });
+      if (Object.keys(updates).length) {
+        await chrome.storage.local.set(updates);
+        console.log(`[Background] Synced settings applied: ${Object.keys(updates).join(", ")}`);
+      }
+      await setSyncStatus(true, "Settings are in sync");
+      return true;
+    }
+    async function startSync() {
+      if (!await pullSettings()) await pushSettings();
+    }
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === "sync") {
+        if (changes[import_schema.default.SYNC_META_KEY]) runSync(pullSettings);
+        return;
+      }
+      if (areaName !== "local") return;
+      if (changes.syncEnabled) {
+        if (changes.syncEnabled.newValue) runSync(startSync);
+        else chrome.storage.local.remove("syncStatus");
+        return;
+      }
+      if (import_schema.default.SETTINGS_KEYS.some((key) => key in changes)) schedulePush();
+    });
+    storageReady.then(() => runSync(pullSettings));
+    var DB_NAME = "youtube-focus";
+    var STORE_NAME = "classifications";
+    var EXAMPLE_STORE = "examples";
+    var HISTORY_STORE = "history";
+    var INFERENCE_STORE = "inference";
+    var USAGE_STORE = "usage";
+    var MAX_CACHE_ENTRIES = 5e3;
+    var memoryCache = /* @__PURE__ */ new Map();
+    var dbPromise = null;
+    var writesSincePrune = 0;
+    function openDatabase() {
+      if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+          const request = indexedDB.open(DB_NAME, 3);
+          request.onupgradeneeded = (event) => {
+            const db = request.result;
+            if (event.oldVersion < 1) {
+              const store = db.createObjectStore(STORE_NAME, { keyPath: "key" });
+              store.createIndex("ts", "ts");
+            }
+            if (event.oldVersion < 2) db.createObjectStore(EXAMPLE_STORE, { keyPath: "id" });
+            if (event.oldVersion < 3) {
+              db.createObjectStore(HISTORY_STORE, { autoIncrement: true }).createIndex("ts", "ts");
+              db.createObjectStore(INFERENCE_STORE, { autoIncrement: true }).createIndex("ts", "ts");
+              db.createObjectStore(USAGE_STORE, { keyPath: "key" });
+            }
+          };
+          request.onsuccess = () => resolve(request.result);
+          request.onerror = () => reject(request.error);
+        });
+      }
+      return dbPromise;
+    }
+    async function cacheGet(key) {
+      if (memoryCache.has(key)) return memoryCache.get(key);
+      try {
+        const db = await openDatabase();
+        const entry = await new Promise((resolve, reject) => {
+          const request = db.transaction(STORE_NAME).objectStore(STORE_NAME).get(key);
+          request.onsuccess = () => resolve(request.result || null);
+          request.onerror = () => reject(request.error);
+        });
+        if (entry) memoryCache.set(key, entry);
+        return entry;
+      } catch (err) {
+        console.warn("[Background] Cache read failed", err);
+        return null;
+      }
+    }
+    async function cacheSet(key, result) {
+      const entry = { key, labels: result.labels, scores: result.scores, ts: Date.now() };
+      memoryCache.set(key, entry);
+      try {
+        const db = await openDatabase();
+        db.transaction(STORE_NAME, "readwrite").objectStore(STORE_NAME).put(entry);
+        if (++writesSincePrune >= 100) {
+          writesSincePrune = 0;
+          pruneCache(db);
+        }
+      } catch (err) {
+        console.warn("[Background] Cache write failed", err);
+      }
+    }
+    function pruneCache(db) {
+      const store = db.transaction(STORE_NAME, "readwrite").objectStore(STORE_NAME);
+      const countRequest = store.count();
+      countRequest.onsuccess = () => {
+        let excess = countRequest.result - MAX_CACHE_ENTRIES;
+        if (excess <= 0) return;
+        store.index("ts").openCursor().onsuccess = (event) => {
+          const cursor = event.target.result;
+          if (!cursor || excess-- <= 0) return;
+          memoryCache.delete(cursor.primaryKey);
+          cursor.delete();
+          cursor.continue();
+        };
+      };
+    }
+    var classifyQueue = import_classify_queue.default.createClassifyQueue({
+      async getConfig() {
+        await configReady;
+        await modelsChosen;
+        return { modelId: modelState.classifier.model, labels: filterConfig.labels, strictness: filterConfig.strictness };
+      },
+      getModel: () => classifier || classifierPromise,
+      cache: { get: cacheGet, set: cacheSet },
+      onInference: recordInference
+    });
+    function getQueueDepth() {
+      return classifyQueue.getQueueDepth();
+    }
+    var LEGACY_EMBEDDING_MODEL = "Xenova/all-MiniLM-L6-v2";
+    var SIMILARITY_THRESHOLD = 0.82;
+    var MAX_EMBEDDING_CACHE = 1e3;
+    var embeddingModel = import_settings.default.normalizeModelId("embedding");
+    var embedderPromise = null;
+    var examplesPromise = null;
+    var embeddingCache = /* @__PURE__ */ new Map();
+    function getEmbedder() {
+      if (!embedderPromise) {
+        embedderPromise = loadModel("embedding", "feature-extraction", embeddingModel).then((model) => {
+          if (!model) {
+            embedderPromise = null;
+            throw new Error(`Embedding model ${embeddingModel} unavailable`);
+          }
+          return model;
+        });
+      }
+      return embedderPromise;
+    }
+    function exampleModel(example) {
+      return example.model || LEGACY_EMBEDDING_MODEL;
+    }
+    function setEmbeddingModel(modelId) {
+      if (modelId !== embeddingModel) {
+        embeddingModel = modelId;
+        embedderPromise = null;
+        embeddingCache.clear();
+        updateModelState("embedding", { status: "idle", progress: 0, model: modelId, error: null });
+      }
+      examplesPromise = getExamples().then(async (examples) => {
+        const stale = examples.filter((example) => exampleModel(example) !== embeddingModel);
+        if (!stale.length) return examples;
+        const updated = [];
+        for (const example of stale) {
+          try {
+            updated.push({ ...example, model: embeddingModel, embedding: await embed(example.title) });
+          } catch (err) {
+            console.warn("[Background] Re-embedding failed", err);
+            return examples;
           }
-        } catch (err) {
-          sendResponse({ shouldShow: true });
         }
-      })();
-      return true;
+        const db = await openDatabase();
+        const store = db.transaction(EXAMPLE_STORE, "readwrite").objectStore(EXAMPLE_STORE);
+        updated.forEach((example) => store.put(example));
+        const byId = new Map(updated.map((example) => [example.id, example]));
+        return examples.map((example) => byId.get(example.id) || example);
+      });
+    }
+    async function embed(text) {
+      if (embeddingCache.has(text)) return embeddingCache.get(text);
+      const embedder = await getEmbedder();
+      const output = await embedder(text, { pooling: "mean", normalize: true });
+      const vector = Array.from(output.data);
+      if (embeddingCache.size >= MAX_EMBEDDING_CACHE) embeddingCache.delete(embeddingCache.keys().next().value);
+      embeddingCache.set(text, vector);
+      return vector;
+    }
+    function similarity(a, b) {
+      let sum = 0;
+      for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+      return sum;
+    }
+    function getExamples() {
+      if (!examplesPromise) {
+        examplesPromise = openDatabase().then((db) => new Promise((resolve, reject) => {
+          const request = db.transaction(EXAMPLE_STORE).objectStore(EXAMPLE_STORE).getAll();
+          request.onsuccess = () => resolve(request.result);
+          request.onerror = () => reject(request.error);
+        })).catch((err) => {
+          console.warn("[Background] Example load failed", err);
+          return [];
+        });
+      }
+      return examplesPromise;
+    }
+    async function addExample(correction) {
+      try {
+        const example = { ...correction, model: embeddingModel, embedding: await embed(correction.title) };
+        const db = await openDatabase();
+        db.transaction(EXAMPLE_STORE, "readwrite").objectStore(EXAMPLE_STORE).put(example);
+        examplesPromise = getExamples().then((examples) => [...examples.filter((item) => item.id !== example.id), example]);
+      } catch (err) {
+        console.warn("[Background] Could not learn from correction", err);
+      }
+    }
+    async function pruneExamples(corrections) {
+      const keep = new Set(import_settings.default.normalizeCorrections(corrections).titles.map((entry) => entry.id));
+      const removed = (await getExamples()).filter((example) => !keep.has(example.id));
+      if (!removed.length) return;
+      examplesPromise = getExamples().then((examples) => examples.filter((example) => keep.has(example.id)));
+      const db = await openDatabase();
+      const store = db.transaction(EXAMPLE_STORE, "readwrite").objectStore(EXAMPLE_STORE);
+      removed.forEach((example) => store.delete(example.id));
+    }
+    async function applyLearnedExamples(title, goal, decision) {
+      const examples = (await getExamples()).filter((example) => example.goal === goal && example.title !== title && exampleModel(example) === embeddingModel);
+      if (!examples.length) return decision;
+      try {
+        const vector = await embed(title);
+        let best = null;
+        let bestScore = 0;
+        examples.forEach((example) => {
+          const score = similarity(vector, example.embedding);
+          if (score > bestScore) {
+            best = example;
+            bestScore = score;
+          }
+        });
+        if (!best || bestScore < SIMILARITY_THRESHOLD) return decision;
+        console.log(`[AI] "${title}" follows correction "${best.title}" (${(bestScore * 100).toFixed(0)}% similar)`);
+        return { ...decision, shouldShow: best.verdict === "show", learnedFrom: best.title, similarity: bestScore };
+      } catch (err) {
+        console.warn("[Background] Example matching failed", err);
+        return decision;
+      }
+    }
+    async function classifyTitle(title, goal) {
+      const decision = await classifyQueue.classify(title, goal);
+      return applyLearnedExamples(title, goal, decision);
+    }
+    var MAX_TITLE_CORRECTIONS = 500;
+    var correctionChain = Promise.resolve();
+    function queueCorrection(message) {
+      const task = correctionChain.then(() => recordCorrection(message));
+      correctionChain = task.catch(() => {
+      });
+      return task;
+    }
+    async function recordCorrection(message) {
+      const stored = await chrome.storage.local.get("corrections");
+      const corrections = import_settings.default.normalizeCorrections(stored.corrections);
+      const entry = { id: `correction-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`, verdict: message.verdict, ts: Date.now() };
+      if (message.kind === "channel") {
+        Object.assign(entry, { channel: message.channel || null, handle: message.handle || null });
+        corrections.channels = corrections.channels.filter((item) => !(entry.handle && item.handle === entry.handle) && !(entry.channel && item.channel === entry.channel));
+        corrections.channels.push(entry);
+      } else {
+        Object.assign(entry, { title: message.title, goal: message.goal });
+        corrections.titles = corrections.titles.filter((item) => !(item.title === entry.title && item.goal === entry.goal));
+        corrections.titles.push(entry);
+        corrections.titles = corrections.titles.slice(-MAX_TITLE_CORRECTIONS);
+      }
+      await chrome.storage.local.set({ corrections });
+      if (message.kind !== "channel") await addExample(entry);
+    }
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName !== "local" || !changes.corrections) return;
+      pruneExamples(changes.corrections.newValue).catch((err) => console.warn("[Background] Example pruning failed", err));
+    });
+    var HISTORY_DAYS = 30;
+    function localDate(ts) {
+      const date = new Date(ts);
+      return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}-${String(date.getDate()).padStart(2, "0")}`;
+    }
+    async function recordDecisions(entries) {
+      const db = await openDatabase();
+      const store = db.transaction(HISTORY_STORE, "readwrite").objectStore(HISTORY_STORE);
+      entries.forEach((entry) => store.add(entry));
+    }
+    async function recordInference(count, ms) {
+      try {
+        const db = await openDatabase();
+        db.transaction(INFERENCE_STORE, "readwrite").objectStore(INFERENCE_STORE).add({ ts: Date.now(), count, ms });
+      } catch (err) {
+        console.warn("[Background] Inference log failed", err);
+      }
+    }
+    async function recordUsage(seconds, profileId) {
+      const date = localDate(Date.now());
+      const key = `${date}\0${profileId || ""}`;
+      const db = await openDatabase();
+      const store = db.transaction(USAGE_STORE, "readwrite").objectStore(USAGE_STORE);
+      const request = store.get(key);
+      request.onsuccess = () => {
+        const entry = request.result || { key, date, profileId: profileId || null, seconds: 0 };
+        entry.seconds += seconds;
+        store.put(entry);
+      };
+    }
+    function readRange(db, storeName, since) {
+      return new Promise((resolve, reject) => {
+        const request = db.transaction(storeName).objectStore(storeName).index("ts").getAll(IDBKeyRange.lowerBound(since));
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    async function getHistory(days) {
+      const since = Date.now() - days * 24 * 60 * 60 * 1e3;
+      const db = await openDatabase();
+      const usage = await new Promise((resolve, reject) => {
+        const request = db.transaction(USAGE_STORE).objectStore(USAGE_STORE).getAll();
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+      return {
+        decisions: await readRange(db, HISTORY_STORE, since),
+        inference: await readRange(db, INFERENCE_STORE, since),
+        usage: usage.filter((entry) => entry.date >= localDate(since))
+      };
+    }
+    async function pruneHistory() {
+      const cutoff = Date.now() - HISTORY_DAYS * 24 * 60 * 60 * 1e3;
+      const db = await openDatabase();
+      const tx = db.transaction([HISTORY_STORE, INFERENCE_STORE, USAGE_STORE], "readwrite");
+      [HISTORY_STORE, INFERENCE_STORE].forEach((storeName) => {
+        tx.objectStore(storeName).index("ts").openCursor(IDBKeyRange.upperBound(cutoff)).onsuccess = (event) => {
+          const cursor = event.target.result;
+          if (!cursor) return;
+          cursor.delete();
+          cursor.continue();
+        };
+      });
+      tx.objectStore(USAGE_STORE).openCursor().onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (!cursor) return;
+        if (cursor.value.date < localDate(cutoff)) cursor.delete();
+        cursor.continue();
+      };
+    }
+    pruneHistory().catch((err) => console.warn("[Background] History prune failed", err));
+    async function clearHistory() {
+      const db = await openDatabase();
+      const tx = db.transaction([HISTORY_STORE, INFERENCE_STORE, USAGE_STORE], "readwrite");
+      [HISTORY_STORE, INFERENCE_STORE, USAGE_STORE].forEach((storeName) => tx.objectStore(storeName).clear());
+      await new Promise((resolve, reject) => {
+        tx.oncomplete = resolve;
+        tx.onerror = () => reject(tx.error);
+      });
+    }
+    chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+      if (!message) return;
+      if (message.type === "logDecisions") {
+        recordDecisions(Array.isArray(message.entries) ? message.entries : []).catch((err) => console.warn("[Background] Decision log failed", err));
+        return;
+      }
+      if (message.type === "logUsage") {
+        recordUsage(Number(message.seconds) || 0, message.profileId).catch((err) => console.warn("[Background] Usage log failed", err));
+        return;
+      }
+      if (message.type === "getHistory") {
+        getHistory(Number(message.days) || HISTORY_DAYS).then((history) => sendResponse({ ok: true, ...history })).catch((err) => {
+          console.warn("[Background] History read failed", err);
+          sendResponse({ ok: false });
+        });
+        return true;
+      }
+      if (message.type === "clearHistory") {
+        clearHistory().then(() => sendResponse({ ok: true })).catch(() => sendResponse({ ok: false }));
+        return true;
+      }
+      if (message.type === "recordCorrection") {
+        queueCorrection(message).then(() => sendResponse({ ok: true })).catch((err) => {
+          console.warn("[Background] Correction failed", err);
+          sendResponse({ ok: false });
+        });
+        return true;
+      }
+      if (message.type === "getModelStatus") {
+        sendResponse({ state: modelState, queueDepth: getQueueDepth() });
+        return;
+      }
+      if (message.type === "classifyBatch") {
+        import_classify_queue.default.classifyBatch(message.items, classifyTitle).then((results) => sendResponse({ results, queueDepth: getQueueDepth() }));
+        return true;
+      }
     });
   }
 });
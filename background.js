@@ -1,75 +1,731 @@
 import { pipeline, env } from '@xenova/transformers';
+import FocusSettings from './settings.js';
+import FocusSchema from './schema.js';
+import FocusClassifyQueue from './classify-queue.js';
 
+// Models and the ONNX runtime are packaged with the extension (npm run models),
+// so nothing is downloaded at runtime and the filter works offline.
 try {
-  env.allowLocalModels = false;
-  env.useBrowserCache = true;
+  env.allowRemoteModels = false;
+  env.allowLocalModels = true;
+  env.localModelPath = chrome.runtime.getURL('models/');
+  env.useBrowserCache = false;
+  env.backends.onnx.wasm.wasmPaths = chrome.runtime.getURL('wasm/');
   env.backends.onnx.wasm.numThreads = 1;
   env.backends.onnx.wasm.proxy = false;
 } catch (err) {
   console.warn('[Background] env config failed', err);
 }
 
-let classifier = null;
+// === MODEL STATE ===
+// Load state of each model, served to the popup through `getModelStatus`
+// and pushed as `modelStatus` messages while it changes.
+const modelState = {
+  // `fallbackFrom` is the chosen model when its files are missing and the default runs instead
+  classifier: { status: 'idle', progress: 0, model: null, error: null, fallbackFrom: null },
+  embedding: { status: 'idle', progress: 0, model: null, error: null, fallbackFrom: null }
+};
+
+function updateModelState(kind, changes) {
+  Object.assign(modelState[kind], changes);
+  // Nobody may be listening (popup closed), which is fine
+  chrome.runtime.sendMessage({ type: 'modelStatus', state: modelState }).catch(() => {});
+}
 
-async function initClassifier() {
-  if (classifier) return;
+// Sums download progress over all files of a model
+function trackProgress(kind) {
+  const files = new Map();
+  return (event) => {
+    if (event.status !== 'progress' || !event.total) return;
+    files.set(event.file, { loaded: event.loaded, total: event.total });
+    let loaded = 0;
+    let total = 0;
+    files.forEach((file) => {
+      loaded += file.loaded;
+      total += file.total;
+    });
+    const progress = Math.floor((loaded / total) * 100) / 100;
+    if (progress !== modelState[kind].progress) updateModelState(kind, { progress });
+  };
+}
+
+async function loadModel(kind, task, modelId) {
+  updateModelState(kind, { status: 'loading', progress: 0, model: modelId, error: null, fallbackFrom: null });
   try {
-    console.log('[Background] Loading Zero Tolerance Model...');
-    classifier = await pipeline('zero-shot-classification', 'Xenova/mobilebert-uncased-mnli');
-    console.log('[Background] Model Ready');
+    console.log(`[Background] Loading ${modelId}...`);
+    const model = await pipeline(task, modelId, { progress_callback: trackProgress(kind) });
+    // Another model may have been selected while this one was loading
+    if (modelState[kind].model !== modelId) return null;
+    updateModelState(kind, { status: 'ready', progress: 1 });
+    console.log(`[Background] ${modelId} Ready`);
+    return model;
   } catch (err) {
     console.error('[Background] Load Error', err);
+    if (modelState[kind].model === modelId) updateModelState(kind, { status: 'error', error: String(err && err.message || err) });
+    return null;
   }
 }
 
-initClassifier();
+let classifier = null;
+let classifierPromise = null;
+// The model picked in the popup, which may differ from the one loaded after a fallback
+let chosenClassifier = null;
+
+function initClassifier(modelId) {
+  chosenClassifier = modelId;
+  if (modelState.classifier.model === modelId && classifierPromise) {
+    if (modelState.classifier.fallbackFrom) updateModelState('classifier', { fallbackFrom: null });
+    return classifierPromise;
+  }
+  classifier = null;
+  classifierPromise = loadModel('classifier', 'zero-shot-classification', modelId).then(async (model) => {
+    // Alternative models are only packaged by `npm run models -- --all`. Without
+    // a classifier every title would be shown, so the default takes over.
+    const defaultId = FocusSettings.normalizeModelId('classifier');
+    const failed = modelState.classifier.model === modelId && modelState.classifier.status === 'error';
+    if (!model && failed && modelId !== defaultId) {
+      console.warn(`[Background] ${modelId} unavailable, falling back to ${defaultId}`);
+      model = await loadModel('classifier', 'zero-shot-classification', defaultId);
+      if (model && chosenClassifier === modelId) updateModelState('classifier', { fallbackFrom: modelId });
+    }
+    if (model) classifier = model;
+    return classifier;
+  });
+  return classifierPromise;
+}
 
-chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-  if (!message || message.type !== 'classify') return;
+// Model choices from the popup; classification waits for this before building cache keys
+const modelsChosen = chrome.storage.local.get(['classifierModel', 'embeddingModel']).then((stored) => {
+  initClassifier(FocusSettings.normalizeModelId('classifier', stored.classifierModel));
+  setEmbeddingModel(FocusSettings.normalizeModelId('embedding', stored.embeddingModel));
+}).catch(err => console.warn('[Background] Model selection failed', err));
 
-  if (!classifier) {
-    sendResponse({ shouldShow: true });
-    return true;
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== 'local') return;
+  if (changes.classifierModel) initClassifier(FocusSettings.normalizeModelId('classifier', changes.classifierModel.newValue));
+  if (changes.embeddingModel) setEmbeddingModel(FocusSettings.normalizeModelId('embedding', changes.embeddingModel.newValue));
+});
+
+// === SETTINGS SCHEMA ===
+// Storage written by an older version is upgraded once, before anything reads profiles.
+async function migrateStorage() {
+  const stored = await chrome.storage.local.get(null);
+  if (stored.settingsVersion === FocusSchema.SCHEMA_VERSION) return;
+
+  const migrated = FocusSchema.migrateSettings(stored, stored.settingsVersion);
+  const updates = { settingsVersion: FocusSchema.SCHEMA_VERSION };
+  FocusSchema.SETTINGS_KEYS.forEach((key) => {
+    if (migrated[key] !== undefined && migrated[key] !== stored[key]) updates[key] = migrated[key];
+  });
+  const removed = Object.keys(stored).filter(key => !(key in migrated));
+
+  await chrome.storage.local.set(updates);
+  if (removed.length) await chrome.storage.local.remove(removed);
+  console.log(`[Background] Settings migrated from schema ${stored.settingsVersion || 0} to ${FocusSchema.SCHEMA_VERSION}`);
+}
+
+const storageReady = migrateStorage().catch(err => console.warn('[Background] Settings migration failed', err));
+
+// === FILTER CONFIG ===
+// Distraction categories are global, strictness comes from the active profile
+const PROFILE_KEYS = ['profiles', 'profileOverride', 'activeProfileId', 'focusGoal', 'strictness'];
+
+const filterConfig = {
+  labels: FocusSettings.DEFAULT_DISTRACTION_LABELS.slice(),
+  strictness: FocusSettings.normalizeStrictness(null)
+};
+
+async function refreshFilterConfig() {
+  const stored = await chrome.storage.local.get(['distractionLabels', ...PROFILE_KEYS]);
+  const profile = FocusSettings.getActiveProfile(stored);
+  filterConfig.labels = FocusSettings.normalizeLabels(stored.distractionLabels);
+  filterConfig.strictness = profile ? profile.strictness : FocusSettings.normalizeStrictness(null);
+}
+
+let configReady = refreshFilterConfig().catch(err => console.warn('[Background] Config load failed', err));
+
+// === PROFILE SCHEDULE ===
+// An alarm re-resolves the active profile every minute and stores it as
+// `activeProfileId`, which the content script and popup read.
+const SCHEDULE_ALARM = 'profile-schedule';
+
+async function applyProfileSchedule() {
+  await storageReady;
+  const stored = await chrome.storage.local.get(PROFILE_KEYS);
+  const profiles = FocusSettings.getProfiles(stored);
+  const activeProfileId = FocusSettings.resolveActiveProfileId(profiles, stored.profileOverride, new Date());
+
+  if (stored.activeProfileId !== activeProfileId || !('activeProfileId' in stored)) {
+    console.log(`[Background] Active profile -> ${activeProfileId || 'none (filtering off)'}`);
+    await chrome.storage.local.set({ activeProfileId });
   }
+}
 
-  (async () => {
-    try {
-      // 1. The Categories
-      const labels = [
-        message.goal,       // Your Goal (e.g. "Learn Python")
-  "gaming",           // Distraction
-  "anime",            // Distraction
-  "music video",      // Distraction
-  "entertainment",    // Distraction
-  "vlog",             // Distraction
-  "comedy",           // Distraction
-  "movie"             // Distraction
-      ];
-
-      // 2. Ask the AI
-      const result = await classifier(message.title, labels, { multi_label: false });
-      const bestMatch = result.labels[0];
-      const confidence = result.scores[0];
-
-      console.log(`[AI] "${message.title}" -> ${bestMatch} (${(confidence * 100).toFixed(0)}%)`);
-
-      // === ZERO TOLERANCE LOGIC ===
-
-      // If the best match is YOUR GOAL, show it.
-      if (bestMatch === message.goal) {
-        sendResponse({ shouldShow: true });
-      }
-      // If the best match is ANY distraction (Gaming, Anime, etc.), BLOCK IT.
-      // We don't care about confidence anymore. If AI says "Gaming", it's gone.
-      else {
-        sendResponse({ shouldShow: false });
+chrome.alarms.get(SCHEDULE_ALARM).then((alarm) => {
+  if (alarm) return;
+  // Fire on minute boundaries so "09:00" switches at 09:00, not up to a minute later
+  chrome.alarms.create(SCHEDULE_ALARM, { when: Math.ceil(Date.now() / 60000) * 60000, periodInMinutes: 1 });
+});
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === SCHEDULE_ALARM) applyProfileSchedule().catch(err => console.warn('[Background] Schedule failed', err));
+});
+
+applyProfileSchedule().catch(err => console.warn('[Background] Schedule failed', err));
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== 'local') return;
+  if (changes.profiles || changes.profileOverride) applyProfileSchedule().catch(err => console.warn('[Background] Schedule failed', err));
+  if (changes.distractionLabels || changes.profiles || changes.activeProfileId) {
+    configReady = refreshFilterConfig().catch(err => console.warn('[Background] Config load failed', err));
+  }
+});
+
+// === SETTINGS SYNC ===
+// With `syncEnabled` on, the configuration is mirrored to chrome.storage.sync so
+// every browser signed in to the same Chrome profile shares it; the last write wins.
+// Writes are debounced because sync allows only a limited number per minute.
+const SYNC_DEBOUNCE_MS = 5000;
+const SYNC_RETRY_MS = 60 * 1000;
+
+let syncTimer = null;
+let syncChain = Promise.resolve();
+
+function setSyncStatus(ok, message) {
+  return chrome.storage.local.set({ syncStatus: { ok, message, ts: Date.now() } });
+}
+
+// Sync runs one at a time, so a pull never interleaves with a push
+function runSync(task) {
+  syncChain = syncChain.then(task).catch((err) => {
+    console.warn('[Background] Sync failed', err);
+    setSyncStatus(false, `Sync failed: ${err.message}`);
+  });
+  return syncChain;
+}
+
+// Failed writes (quota or rate limits) are retried a minute later
+function schedulePush(delay = SYNC_DEBOUNCE_MS) {
+  clearTimeout(syncTimer);
+  syncTimer = setTimeout(() => runSync(() => pushSettings().catch((err) => {
+    schedulePush(SYNC_RETRY_MS);
+    throw err;
+  })), delay);
+}
+
+async function pushSettings() {
+  const stored = await chrome.storage.local.get(null);
+  if (!stored.syncEnabled) return;
+
+  const settings = FocusSchema.readSettings(stored);
+  const remoteItems = await chrome.storage.sync.get(null);
+  const meta = remoteItems[FocusSchema.SYNC_META_KEY];
+  if (meta && meta.version > FocusSchema.SCHEMA_VERSION) {
+    // Never overwrite what a newer version of the extension wrote
+    await setSyncStatus(false, 'Another browser syncs settings from a newer version of YouTube Focus. Update this one to keep syncing.');
+    return;
+  }
+  let remote = null;
+  try {
+    remote = FocusSchema.fromSyncItems(remoteItems);
+  } catch (err) {
+    // Incomplete remote data is simply overwritten
+  }
+  if (remote && JSON.stringify(remote) === JSON.stringify(settings)) return;
+
+  const { items, bytes } = FocusSchema.toSyncItems(settings, new Date());
+  const quota = chrome.storage.sync.QUOTA_BYTES;
+  if (bytes > quota) {
+    await setSyncStatus(false, `Settings are too large to sync (${Math.ceil(bytes / 1024)} KB of ${Math.floor(quota / 1024)} KB). Remove some rules or profiles.`);
+    return;
+  }
+
+  // Leftover chunks from a longer earlier write go first, so they never count against the quota
+  const stale = FocusSchema.staleSyncKeys(remoteItems, items[FocusSchema.SYNC_META_KEY].chunks);
+  if (stale.length) await chrome.storage.sync.remove(stale);
+  await chrome.storage.sync.set(items);
+  await setSyncStatus(true, `Settings synced (${Math.ceil(bytes / 1024)} KB)`);
+}
+
+// Copies synced settings into local storage; returns false when nothing was synced yet
+async function pullSettings() {
+  const stored = await chrome.storage.local.get(null);
+  if (!stored.syncEnabled) return false;
+
+  const remote = FocusSchema.fromSyncItems(await chrome.storage.sync.get(null));
+  if (!remote) return false;
+
+  const local = FocusSchema.readSettings(stored);
+  const updates = {};
+  Object.keys(remote).forEach((key) => {
+    if (JSON.stringify(remote[key]) !== JSON.stringify(local[key])) updates[key] = remote[key];
+  });
+  if (Object.keys(updates).length) {
+    await chrome.storage.local.set(updates);
+    console.log(`[Background] Synced settings applied: ${Object.keys(updates).join(', ')}`);
+  }
+  await setSyncStatus(true, 'Settings are in sync');
+  return true;
+}
+
+// Turning sync on adopts existing synced settings, or uploads this browser's
+async function startSync() {
+  if (!(await pullSettings())) await pushSettings();
+}
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'sync') {
+    if (changes[FocusSchema.SYNC_META_KEY]) runSync(pullSettings);
+    return;
+  }
+  if (areaName !== 'local') return;
+  if (changes.syncEnabled) {
+    if (changes.syncEnabled.newValue) runSync(startSync);
+    else chrome.storage.local.remove('syncStatus');
+    return;
+  }
+  if (FocusSchema.SETTINGS_KEYS.some(key => key in changes)) schedulePush();
+});
+
+// Catch up on changes other browsers made while this one was closed
+storageReady.then(() => runSync(pullSettings));
+
+// === CLASSIFICATION CACHE ===
+// Results live in IndexedDB so revisited videos resolve instantly, even after
+// the service worker has been restarted. Hot entries are mirrored in memory.
+const DB_NAME = 'youtube-focus';
+const STORE_NAME = 'classifications';
+const EXAMPLE_STORE = 'examples';
+const HISTORY_STORE = 'history';
+const INFERENCE_STORE = 'inference';
+const USAGE_STORE = 'usage';
+const MAX_CACHE_ENTRIES = 5000;
+
+const memoryCache = new Map();
+let dbPromise = null;
+let writesSincePrune = 0;
+
+function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, 3);
+      request.onupgradeneeded = (event) => {
+        const db = request.result;
+        if (event.oldVersion < 1) {
+          const store = db.createObjectStore(STORE_NAME, { keyPath: 'key' });
+          store.createIndex('ts', 'ts');
+        }
+        if (event.oldVersion < 2) db.createObjectStore(EXAMPLE_STORE, { keyPath: 'id' });
+        if (event.oldVersion < 3) {
+          db.createObjectStore(HISTORY_STORE, { autoIncrement: true }).createIndex('ts', 'ts');
+          db.createObjectStore(INFERENCE_STORE, { autoIncrement: true }).createIndex('ts', 'ts');
+          db.createObjectStore(USAGE_STORE, { keyPath: 'key' });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return dbPromise;
+}
+
+async function cacheGet(key) {
+  if (memoryCache.has(key)) return memoryCache.get(key);
+  try {
+    const db = await openDatabase();
+    const entry = await new Promise((resolve, reject) => {
+      const request = db.transaction(STORE_NAME).objectStore(STORE_NAME).get(key);
+      request.onsuccess = () => resolve(request.result || null);
+      request.onerror = () => reject(request.error);
+    });
+    if (entry) memoryCache.set(key, entry);
+    return entry;
+  } catch (err) {
+    console.warn('[Background] Cache read failed', err);
+    return null;
+  }
+}
+
+async function cacheSet(key, result) {
+  const entry = { key, labels: result.labels, scores: result.scores, ts: Date.now() };
+  memoryCache.set(key, entry);
+  try {
+    const db = await openDatabase();
+    db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME).put(entry);
+    if (++writesSincePrune >= 100) {
+      writesSincePrune = 0;
+      pruneCache(db);
+    }
+  } catch (err) {
+    console.warn('[Background] Cache write failed', err);
+  }
+}
+
+// Drops the oldest entries once the cache grows past MAX_CACHE_ENTRIES
+function pruneCache(db) {
+  const store = db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME);
+  const countRequest = store.count();
+  countRequest.onsuccess = () => {
+    let excess = countRequest.result - MAX_CACHE_ENTRIES;
+    if (excess <= 0) return;
+    store.index('ts').openCursor().onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (!cursor || excess-- <= 0) return;
+      memoryCache.delete(cursor.primaryKey);
+      cursor.delete();
+      cursor.continue();
+    };
+  };
+}
+
+// === BATCH QUEUE ===
+// Batching, deduplication and the fail-safe live in classify-queue.js so the
+// test suite can drive them with a stubbed model.
+const classifyQueue = FocusClassifyQueue.createClassifyQueue({
+  async getConfig() {
+    await configReady;
+    await modelsChosen;
+    return { modelId: modelState.classifier.model, labels: filterConfig.labels, strictness: filterConfig.strictness };
+  },
+  getModel: () => classifier || classifierPromise,
+  cache: { get: cacheGet, set: cacheSet },
+  onInference: recordInference
+});
+
+function getQueueDepth() {
+  return classifyQueue.getQueueDepth();
+}
+
+// === LEARNED EXAMPLES ===
+// Every title correction is also kept as an embedding. New titles that are
+// close enough to an example for the same goal follow the user's verdict
+// instead of the zero-shot result.
+// Examples saved before the model became selectable were embedded with this one
+const LEGACY_EMBEDDING_MODEL = 'Xenova/all-MiniLM-L6-v2';
+const SIMILARITY_THRESHOLD = 0.82;
+const MAX_EMBEDDING_CACHE = 1000;
+
+let embeddingModel = FocusSettings.normalizeModelId('embedding');
+let embedderPromise = null;
+let examplesPromise = null;
+const embeddingCache = new Map();
+
+// Loaded on first use, so users without corrections never pay for it
+function getEmbedder() {
+  if (!embedderPromise) {
+    embedderPromise = loadModel('embedding', 'feature-extraction', embeddingModel).then((model) => {
+      if (!model) {
+        embedderPromise = null;
+        throw new Error(`Embedding model ${embeddingModel} unavailable`);
       }
+      return model;
+    });
+  }
+  return embedderPromise;
+}
+
+function exampleModel(example) {
+  return example.model || LEGACY_EMBEDDING_MODEL;
+}
 
-    } catch (err) {
-      // On error, default to showing (fail safe)
-      sendResponse({ shouldShow: true });
+// Vectors from different models are not comparable, so stored examples are re-embedded on a switch
+function setEmbeddingModel(modelId) {
+  if (modelId !== embeddingModel) {
+    embeddingModel = modelId;
+    embedderPromise = null;
+    embeddingCache.clear();
+    updateModelState('embedding', { status: 'idle', progress: 0, model: modelId, error: null });
+  }
+  examplesPromise = getExamples().then(async (examples) => {
+    const stale = examples.filter(example => exampleModel(example) !== embeddingModel);
+    if (!stale.length) return examples;
+
+    const updated = [];
+    for (const example of stale) {
+      try {
+        updated.push({ ...example, model: embeddingModel, embedding: await embed(example.title) });
+      } catch (err) {
+        console.warn('[Background] Re-embedding failed', err);
+        return examples;
+      }
     }
-  })();
+    const db = await openDatabase();
+    const store = db.transaction(EXAMPLE_STORE, 'readwrite').objectStore(EXAMPLE_STORE);
+    updated.forEach(example => store.put(example));
+    const byId = new Map(updated.map(example => [example.id, example]));
+    return examples.map(example => byId.get(example.id) || example);
+  });
+}
 
-  return true;
+async function embed(text) {
+  if (embeddingCache.has(text)) return embeddingCache.get(text);
+  const embedder = await getEmbedder();
+  const output = await embedder(text, { pooling: 'mean', normalize: true });
+  const vector = Array.from(output.data);
+
+  if (embeddingCache.size >= MAX_EMBEDDING_CACHE) embeddingCache.delete(embeddingCache.keys().next().value);
+  embeddingCache.set(text, vector);
+  return vector;
+}
+
+// Vectors are normalized, so the dot product is the cosine similarity
+function similarity(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+  return sum;
+}
+
+function getExamples() {
+  if (!examplesPromise) {
+    examplesPromise = openDatabase().then(db => new Promise((resolve, reject) => {
+      const request = db.transaction(EXAMPLE_STORE).objectStore(EXAMPLE_STORE).getAll();
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    })).catch((err) => {
+      console.warn('[Background] Example load failed', err);
+      return [];
+    });
+  }
+  return examplesPromise;
+}
+
+// Example list updates chain on examplesPromise so concurrent changes cannot overwrite each other
+async function addExample(correction) {
+  try {
+    const example = { ...correction, model: embeddingModel, embedding: await embed(correction.title) };
+    const db = await openDatabase();
+    db.transaction(EXAMPLE_STORE, 'readwrite').objectStore(EXAMPLE_STORE).put(example);
+    examplesPromise = getExamples().then(examples => [...examples.filter(item => item.id !== example.id), example]);
+  } catch (err) {
+    console.warn('[Background] Could not learn from correction', err);
+  }
+}
+
+// Drops examples whose correction was deleted from the options page
+async function pruneExamples(corrections) {
+  const keep = new Set(FocusSettings.normalizeCorrections(corrections).titles.map(entry => entry.id));
+  const removed = (await getExamples()).filter(example => !keep.has(example.id));
+  if (!removed.length) return;
+
+  examplesPromise = getExamples().then(examples => examples.filter(example => keep.has(example.id)));
+  const db = await openDatabase();
+  const store = db.transaction(EXAMPLE_STORE, 'readwrite').objectStore(EXAMPLE_STORE);
+  removed.forEach(example => store.delete(example.id));
+}
+
+async function applyLearnedExamples(title, goal, decision) {
+  const examples = (await getExamples()).filter(example =>
+    example.goal === goal && example.title !== title && exampleModel(example) === embeddingModel);
+  if (!examples.length) return decision;
+
+  try {
+    const vector = await embed(title);
+    let best = null;
+    let bestScore = 0;
+    examples.forEach((example) => {
+      const score = similarity(vector, example.embedding);
+      if (score > bestScore) {
+        best = example;
+        bestScore = score;
+      }
+    });
+
+    if (!best || bestScore < SIMILARITY_THRESHOLD) return decision;
+    console.log(`[AI] "${title}" follows correction "${best.title}" (${(bestScore * 100).toFixed(0)}% similar)`);
+    return { ...decision, shouldShow: best.verdict === 'show', learnedFrom: best.title, similarity: bestScore };
+  } catch (err) {
+    console.warn('[Background] Example matching failed', err);
+    return decision;
+  }
+}
+
+async function classifyTitle(title, goal) {
+  const decision = await classifyQueue.classify(title, goal);
+  return applyLearnedExamples(title, goal, decision);
+}
+
+// === CORRECTIONS ===
+const MAX_TITLE_CORRECTIONS = 500;
+
+// Clicks can overlap, so each read-modify-write of `corrections` waits for the previous one
+let correctionChain = Promise.resolve();
+
+function queueCorrection(message) {
+  const task = correctionChain.then(() => recordCorrection(message));
+  correctionChain = task.catch(() => {});
+  return task;
+}
+
+async function recordCorrection(message) {
+  const stored = await chrome.storage.local.get('corrections');
+  const corrections = FocusSettings.normalizeCorrections(stored.corrections);
+  const entry = { id: `correction-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`, verdict: message.verdict, ts: Date.now() };
+
+  if (message.kind === 'channel') {
+    Object.assign(entry, { channel: message.channel || null, handle: message.handle || null });
+    corrections.channels = corrections.channels.filter(item =>
+      !(entry.handle && item.handle === entry.handle) && !(entry.channel && item.channel === entry.channel));
+    corrections.channels.push(entry);
+  } else {
+    Object.assign(entry, { title: message.title, goal: message.goal });
+    corrections.titles = corrections.titles.filter(item => !(item.title === entry.title && item.goal === entry.goal));
+    corrections.titles.push(entry);
+    corrections.titles = corrections.titles.slice(-MAX_TITLE_CORRECTIONS);
+  }
+
+  await chrome.storage.local.set({ corrections });
+  if (message.kind !== 'channel') await addExample(entry);
+}
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== 'local' || !changes.corrections) return;
+  pruneExamples(changes.corrections.newValue).catch(err => console.warn('[Background] Example pruning failed', err));
+});
+
+// === HISTORY ===
+// Decisions from content scripts, model timings and time spent on YouTube,
+// kept for the dashboard. Nothing leaves the machine.
+const HISTORY_DAYS = 30;
+
+function localDate(ts) {
+  const date = new Date(ts);
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+async function recordDecisions(entries) {
+  const db = await openDatabase();
+  const store = db.transaction(HISTORY_STORE, 'readwrite').objectStore(HISTORY_STORE);
+  entries.forEach(entry => store.add(entry));
+}
+
+async function recordInference(count, ms) {
+  try {
+    const db = await openDatabase();
+    db.transaction(INFERENCE_STORE, 'readwrite').objectStore(INFERENCE_STORE).add({ ts: Date.now(), count, ms });
+  } catch (err) {
+    console.warn('[Background] Inference log failed', err);
+  }
+}
+
+async function recordUsage(seconds, profileId) {
+  const date = localDate(Date.now());
+  const key = `${date}\u0000${profileId || ''}`;
+  const db = await openDatabase();
+  const store = db.transaction(USAGE_STORE, 'readwrite').objectStore(USAGE_STORE);
+  const request = store.get(key);
+  request.onsuccess = () => {
+    const entry = request.result || { key, date, profileId: profileId || null, seconds: 0 };
+    entry.seconds += seconds;
+    store.put(entry);
+  };
+}
+
+function readRange(db, storeName, since) {
+  return new Promise((resolve, reject) => {
+    const request = db.transaction(storeName).objectStore(storeName).index('ts').getAll(IDBKeyRange.lowerBound(since));
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+async function getHistory(days) {
+  const since = Date.now() - days * 24 * 60 * 60 * 1000;
+  const db = await openDatabase();
+  const usage = await new Promise((resolve, reject) => {
+    const request = db.transaction(USAGE_STORE).objectStore(USAGE_STORE).getAll();
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+  return {
+    decisions: await readRange(db, HISTORY_STORE, since),
+    inference: await readRange(db, INFERENCE_STORE, since),
+    usage: usage.filter(entry => entry.date >= localDate(since))
+  };
+}
+
+// Drops everything older than HISTORY_DAYS
+async function pruneHistory() {
+  const cutoff = Date.now() - HISTORY_DAYS * 24 * 60 * 60 * 1000;
+  const db = await openDatabase();
+  const tx = db.transaction([HISTORY_STORE, INFERENCE_STORE, USAGE_STORE], 'readwrite');
+  [HISTORY_STORE, INFERENCE_STORE].forEach((storeName) => {
+    tx.objectStore(storeName).index('ts').openCursor(IDBKeyRange.upperBound(cutoff)).onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (!cursor) return;
+      cursor.delete();
+      cursor.continue();
+    };
+  });
+  tx.objectStore(USAGE_STORE).openCursor().onsuccess = (event) => {
+    const cursor = event.target.result;
+    if (!cursor) return;
+    if (cursor.value.date < localDate(cutoff)) cursor.delete();
+    cursor.continue();
+  };
+}
+
+pruneHistory().catch(err => console.warn('[Background] History prune failed', err));
+
+async function clearHistory() {
+  const db = await openDatabase();
+  const tx = db.transaction([HISTORY_STORE, INFERENCE_STORE, USAGE_STORE], 'readwrite');
+  [HISTORY_STORE, INFERENCE_STORE, USAGE_STORE].forEach(storeName => tx.objectStore(storeName).clear());
+  await new Promise((resolve, reject) => {
+    tx.oncomplete = resolve;
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (!message) return;
+
+  if (message.type === 'logDecisions') {
+    recordDecisions(Array.isArray(message.entries) ? message.entries : [])
+      .catch(err => console.warn('[Background] Decision log failed', err));
+    return;
+  }
+
+  if (message.type === 'logUsage') {
+    recordUsage(Number(message.seconds) || 0, message.profileId)
+      .catch(err => console.warn('[Background] Usage log failed', err));
+    return;
+  }
+
+  if (message.type === 'getHistory') {
+    getHistory(Number(message.days) || HISTORY_DAYS)
+      .then(history => sendResponse({ ok: true, ...history }))
+      .catch((err) => {
+        console.warn('[Background] History read failed', err);
+        sendResponse({ ok: false });
+      });
+    return true;
+  }
+
+  if (message.type === 'clearHistory') {
+    clearHistory()
+      .then(() => sendResponse({ ok: true }))
+      .catch(() => sendResponse({ ok: false }));
+    return true;
+  }
+
+  if (message.type === 'recordCorrection') {
+    queueCorrection(message)
+      .then(() => sendResponse({ ok: true }))
+      .catch((err) => {
+        console.warn('[Background] Correction failed', err);
+        sendResponse({ ok: false });
+      });
+    return true;
+  }
+
+  if (message.type === 'getModelStatus') {
+    sendResponse({ state: modelState, queueDepth: getQueueDepth() });
+    return;
+  }
+
+  if (message.type === 'classifyBatch') {
+    FocusClassifyQueue.classifyBatch(message.items, classifyTitle)
+      .then(results => sendResponse({ results, queueDepth: getQueueDepth() }));
+    return true;
+  }
 });
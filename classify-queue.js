@@ -0,0 +1,160 @@
+/**
+ * Classification Queue
+ *
+ * Batches zero-shot classification requests for the background worker:
+ * titles that share a goal and label set go through the model together,
+ * results are cached and identical requests share one answer. The model,
+ * cache and settings are passed in, so the queue runs the same in the
+ * worker and against a stubbed classifier in tests.
+ */
+(function (root, factory) {
+    const isModule = typeof module === 'object' && module.exports;
+    const api = isModule ? factory(require('./settings.js')) : factory(root.FocusSettings);
+    if (isModule) module.exports = api;
+    else root.FocusClassifyQueue = api;
+})(typeof self !== 'undefined' ? self : this, (FocusSettings) => {
+
+    const DEFAULT_BATCH_SIZE = 8;
+
+    /**
+     * Candidate labels for the model: the goal (e.g. "Learn Python") first, then the distraction categories
+     * @param {string} goal
+     * @param {Array<string>} distractionLabels - Normalized categories
+     * @returns {Array<string>}
+     */
+    function getLabels(goal, distractionLabels) {
+        const distractions = distractionLabels.filter(label => label !== goal.toLowerCase());
+        return [goal, ...distractions];
+    }
+
+    /**
+     * The top label and its score travel back so the content script can explain the decision
+     * @param {{labels: Array<string>, scores: Array<number>}} result - Classifier output
+     * @param {string} goal
+     * @param {Object} strictness - Normalized strictness settings
+     * @returns {{shouldShow: boolean, label: string, confidence: number}}
+     */
+    function decide(result, goal, strictness) {
+        return {
+            shouldShow: FocusSettings.shouldShowResult(result, goal, strictness),
+            label: result.labels[0],
+            confidence: result.scores[0]
+        };
+    }
+
+    /**
+     * Creates a queue
+     * @param {Object} options
+     * @param {function(): Promise<{modelId: string, labels: Array<string>, strictness: Object}>} options.getConfig
+     *   Current model id, distraction categories and strictness
+     * @param {function(): Promise<?Function>} options.getModel - The zero-shot pipeline, or null when none could be loaded
+     * @param {{get: function(string): Promise<?Object>, set: function(string, Object)}} options.cache - Result cache
+     * @param {function(number, number)} [options.onInference] - Called with batch size and milliseconds after each model call
+     * @param {number} [options.batchSize]
+     * @returns {{classify: function(string, string): Promise<Object>, getQueueDepth: function(): number}}
+     */
+    function createClassifyQueue(options) {
+        const batchSize = options.batchSize || DEFAULT_BATCH_SIZE;
+        const queue = [];
+        const pending = new Map();
+        let inFlight = 0;
+        let isDraining = false;
+
+        function getQueueDepth() {
+            return queue.length + inFlight;
+        }
+
+        // Takes up to batchSize queued titles that share a goal and label set and runs them through the model in one call
+        async function drainQueue() {
+            if (isDraining) return;
+            isDraining = true;
+
+            try {
+                while (queue.length) {
+                    const { group, goal, labels, strictness } = queue[0];
+                    const batch = [];
+                    for (let i = 0; i < queue.length && batch.length < batchSize;) {
+                        if (queue[i].group === group) batch.push(queue.splice(i, 1)[0]);
+                        else i++;
+                    }
+                    inFlight = batch.length;
+
+                    try {
+                        const titles = batch.map(item => item.title);
+                        const startedAt = performance.now();
+                        // The model may have been switched since these titles were queued
+                        const model = await options.getModel();
+                        if (!model) throw new Error('No classifier loaded');
+                        const output = await model(titles, labels, { multi_label: false });
+                        if (options.onInference) options.onInference(batch.length, performance.now() - startedAt);
+                        const results = Array.isArray(output) ? output : [output];
+
+                        batch.forEach((item, i) => {
+                            const result = results[i];
+                            console.log(`[AI] "${item.title}" -> ${result.labels[0]} (${(result.scores[0] * 100).toFixed(0)}%)`);
+                            options.cache.set(item.key, result);
+                            item.resolve(decide(result, goal, strictness));
+                        });
+                    } catch (err) {
+                        // On error, default to showing (fail safe)
+                        console.warn('[Background] Batch failed', err);
+                        batch.forEach(item => item.resolve({ shouldShow: true }));
+                    }
+                    inFlight = 0;
+                }
+            } finally {
+                isDraining = false;
+            }
+        }
+
+        /**
+         * Classifies one title against a goal
+         * @param {string} title
+         * @param {string} goal
+         * @returns {Promise<{shouldShow: boolean, label: ?string, confidence: ?number}>}
+         */
+        async function classify(title, goal) {
+            const config = await options.getConfig();
+            const labels = getLabels(goal, config.labels);
+            // Scores depend on the model and the whole label set, so both are part of the key
+            const group = `${config.modelId}\u0000${goal}\u0000${labels.join('|')}`;
+            const key = `${group}\u0000${title}`;
+            const cached = await options.cache.get(key);
+            if (cached) return decide(cached, goal, config.strictness);
+
+            // Titles arriving while the model loads wait for it; the content script's timeout keeps the feed usable
+            if (!(await options.getModel())) return { shouldShow: true };
+
+            // The same title often shows up on several surfaces at once
+            if (pending.has(key)) return pending.get(key);
+
+            const promise = new Promise((resolve) => {
+                queue.push({ key, group, title, goal, labels, strictness: config.strictness, resolve });
+            }).finally(() => pending.delete(key));
+            pending.set(key, promise);
+            drainQueue();
+            return promise;
+        }
+
+        return { classify, getQueueDepth };
+    }
+
+    /**
+     * Answers a `classifyBatch` message: one result per item, in order. A
+     * failing item is shown rather than failing the whole batch.
+     * @param {Array<{title: string, goal: string}>} items
+     * @param {function(string, string): Promise<Object>} classifyTitle
+     * @returns {Promise<Array<Object>>}
+     */
+    function classifyBatch(items, classifyTitle) {
+        const list = Array.isArray(items) ? items : [];
+        return Promise.all(list.map(item => classifyTitle(item.title, item.goal).catch(() => ({ shouldShow: true }))));
+    }
+
+    return {
+        classifyBatch,
+        createClassifyQueue,
+        decide,
+        getLabels
+    };
+});
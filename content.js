@@ -1,116 +1,584 @@
 // === CONFIG ===
 const DEBUG_MODE = true;
 const TIMEOUT_MS = 3000;
+// Extra patience per title already waiting in the background worker's queue
+const TIMEOUT_PER_QUEUED_MS = 400;
+const MAX_TIMEOUT_MS = 20000;
+const BATCH_SIZE = 16;
+const BATCH_DELAY_MS = 50;
+// Decisions are sent to the history log in batches
+const LOG_FLUSH_MS = 2000;
+// Time on YouTube is counted in ticks while the tab is visible and focused
+const USAGE_TICK_MS = 30000;
 const PROCESSED_ATTR = 'data-focus-processed';
+const TITLE_ATTR = 'data-focus-title';
+const COLLAPSED_CLASS = 'focus-collapsed';
+const EXPLAINED_CLASS = 'focus-explained';
+const QUIET_CLASS = 'focus-quiet';
+const BADGE_CLASS = 'focus-badge';
+const GUARD_ID = 'focus-guard';
+// Override time is written to storage in chunks rather than every second
+const OVERRIDE_SAVE_SECONDS = 10;
+// Any change to these re-evaluates the visible feed
+const WATCHED_KEYS = ['revealMode', 'corrections', 'rules', 'profiles', 'activeProfileId', 'profileOverride', 'focusGoal', 'strictness', 'enabledSurfaces', 'distractionLabels', 'watchGuard'];
 
-// 1. UNIVERSAL BLACKLIST
-const BLACKLIST = ['Mix -', 'Music', 'Song', 'Lyrics', 'Live', 'Official', 'Shorts', 'Gameplay', 'React', 'Prank', 'ASMR', 'vs', 'Trailer'];
+function debugLog(...args) { if (DEBUG_MODE) console.log('[YouTube Focus]', ...args); }
 
-// 2. EXPANDED STOP WORDS (To get clean keywords from your goal)
-const STOP_WORDS = [
-    'i', 'want', 'to', 'learn', 'how', 'about', 'the', 'and', 'for', 'in', 'on', 'with', 'best', 'top',
-'what', 'is', 'a', 'an', 'make', 'do', 'get', 'watch', 'video', 'tutorial', 'guide', 'complete',
-'beginner', 'advanced', 'course', 'full'
-];
+// === STATE ===
+// Settings are cached here and refreshed through chrome.storage.onChanged,
+// so tiles never hit storage on their own.
+const settings = {};
+// Active profile, compiled rules, corrections and watch guard settings; `filter.profile` is null when filtering is off
+let filter = FocusPipeline.createFilterContext({});
+// Today's spent override time, kept apart from `settings` so spending it does not re-evaluate the page
+let overrideUsage = null;
+// Bumped whenever settings change, so late AI answers for an old goal are dropped
+let generation = 0;
+let pendingNodes = new Set();
+let flushScheduled = false;
+let classifyQueue = [];
+let batchTimer = null;
+// Last queue depth reported by the background worker
+let workerQueueDepth = 0;
+// Why each tile was shown or hidden: { shouldShow, stage, reason, surface, video }
+const decisions = new WeakMap();
+let decisionLog = [];
+let logTimer = null;
+// `${kind}\u0000${profileId}\u0000${surface}\u0000${title}` of everything logged on the current page
+const loggedVideos = new Set();
 
-function debugLog(...args) { if (DEBUG_MODE) console.log('[YouTube Focus]', ...args); }
+function resetVideo(videoNode) {
+    videoNode.removeAttribute(PROCESSED_ATTR);
+    videoNode.removeAttribute(TITLE_ATTR);
+    videoNode.classList.remove(COLLAPSED_CLASS, EXPLAINED_CLASS, QUIET_CLASS);
+    videoNode.querySelectorAll(`:scope > .${BADGE_CLASS}`).forEach(badge => badge.remove());
+    videoNode.style.display = '';
+    videoNode.style.opacity = '';
+    decisions.delete(videoNode);
+}
+
+// === DECISIONS ===
 
-function getVideoTitle(node) {
-    let el = node.querySelector('#video-title');
-    if (el && el.innerText.trim()) return el.innerText.trim();
-    el = node.querySelector('a#video-title-link');
-    if (el && el.title) return el.title;
-    el = node.querySelector('a[aria-label]');
-    if (el && el.getAttribute('aria-label')) return el.getAttribute('aria-label').split(' by ')[0];
-    return null;
+function createBadgeButton(label, onClick) {
+    const button = document.createElement('button');
+    button.textContent = label;
+    button.addEventListener('click', (event) => {
+        // Some tiles are links themselves
+        event.preventDefault();
+        event.stopPropagation();
+        onClick();
+    });
+    return button;
 }
 
-// Smart Extractor
-function getDynamicKeywords(goalPhrase) {
-    if (!goalPhrase) return [];
-    return goalPhrase.toLowerCase()
-    .replace(/[^\w\s]/g, '') // Remove punctuation
-    .split(/\s+/) // Split by space
-    .filter(w => !STOP_WORDS.includes(w) && w.length > 2); // Remove common words
+// Stored by the background worker; the resulting storage change re-evaluates the feed
+function sendCorrection(decision, kind, verdict) {
+    const { title, channel, handle } = decision.video;
+    chrome.runtime.sendMessage({ type: 'recordCorrection', kind, verdict, title, channel, handle, goal: filter.profile.goal });
 }
 
-async function processVideo(videoNode) {
-    if (videoNode.getAttribute(PROCESSED_ATTR)) return;
-    videoNode.setAttribute(PROCESSED_ATTR, 'pending');
+// The badge says why a tile was judged and offers "this was wrong" actions
+function renderBadge(videoNode, decision) {
+    let badge = videoNode.querySelector(`:scope > .${BADGE_CLASS}`);
+    if (!badge) {
+        badge = document.createElement('div');
+        badge.className = BADGE_CLASS;
+        videoNode.appendChild(badge);
+    }
+    badge.textContent = '';
 
-    const title = getVideoTitle(videoNode);
-    if (!title) {
-        videoNode.removeAttribute(PROCESSED_ATTR);
-        return;
+    const text = document.createElement('span');
+    text.textContent = `${decision.shouldShow ? '✅' : '⛔'} ${decision.reason}`;
+    badge.appendChild(text);
+
+    const hasChannel = !!(decision.video.channel || decision.video.handle);
+    if (decision.shouldShow) {
+        badge.appendChild(createBadgeButton('Wrong, hide', () => sendCorrection(decision, 'title', 'hide')));
+        if (hasChannel) badge.appendChild(createBadgeButton('Block channel', () => sendCorrection(decision, 'channel', 'hide')));
+    } else {
+        badge.appendChild(createBadgeButton('Show anyway', () => {
+            applyDecision(videoNode, { ...decision, shouldShow: true, stage: 'manual', reason: `Shown anyway (${decision.reason})` });
+        }));
+        badge.appendChild(createBadgeButton('Wrong, show', () => sendCorrection(decision, 'title', 'show')));
+        if (hasChannel) badge.appendChild(createBadgeButton('Allow channel', () => sendCorrection(decision, 'channel', 'show')));
     }
+}
 
-    // 1. Blacklist Check
-    if (BLACKLIST.some(w => title.includes(w))) {
+// Hidden tiles vanish, or collapse behind their badge in reveal mode.
+// Shown tiles keep a badge that only appears on hover outside reveal mode.
+function applyDecision(videoNode, decision) {
+    decisions.set(videoNode, decision);
+    videoNode.setAttribute(PROCESSED_ATTR, 'done');
+    videoNode.style.opacity = '1';
+
+    if (!decision.shouldShow && !settings.revealMode) {
         videoNode.style.display = 'none';
-        videoNode.setAttribute(PROCESSED_ATTR, 'done');
-        return;
+    } else {
+        videoNode.style.display = '';
+        videoNode.classList.toggle(COLLAPSED_CLASS, !decision.shouldShow);
+        videoNode.classList.toggle(EXPLAINED_CLASS, decision.shouldShow);
+        videoNode.classList.toggle(QUIET_CLASS, !settings.revealMode);
+        renderBadge(videoNode, decision);
     }
 
-    // 2. Prepare Ghost Mode
-    videoNode.style.opacity = '0.4';
-    videoNode.style.transition = 'opacity 0.3s ease';
+    const title = videoNode.getAttribute(TITLE_ATTR) || '';
+    debugLog(`${decision.shouldShow ? '✅' : '⛔'} [${decision.surface}/${decision.stage}] ${decision.reason}: "${title.substring(0, 30)}..."`);
+    logDecision(decision);
+}
 
-    const { focusGoal } = await chrome.storage.local.get('focusGoal');
-    if (!focusGoal) {
-        videoNode.style.opacity = '1';
-        videoNode.setAttribute(PROCESSED_ATTR, 'done');
-        return;
-    }
+// === HISTORY ===
 
-    // === LEVEL 1: SMART KEYWORD MATCHING ===
-    const userKeywords = getDynamicKeywords(focusGoal);
-    const lowerTitle = title.toLowerCase();
+// Each video is logged once per page view and profile. Rescans after a settings
+// change, "Show anyway" and re-judging the watched video are not new decisions.
+function logDecision(decision, kind = 'decision') {
+    const { video } = decision;
+    const profileId = filter.profile ? filter.profile.id : null;
+    const key = `${kind}\u0000${profileId}\u0000${decision.surface}\u0000${video.title}`;
+    if (loggedVideos.has(key)) return;
+    loggedVideos.add(key);
 
-    // If title matches extracted keywords -> INSTANT SHOW
-    if (userKeywords.some(keyword => lowerTitle.includes(keyword))) {
-        videoNode.style.opacity = '1';
-        videoNode.setAttribute(PROCESSED_ATTR, 'done');
-        debugLog(`✅ Goal Match: "${title.substring(0, 30)}..."`);
-        return;
+    decisionLog.push({
+        ts: Date.now(),
+        surface: decision.surface,
+        title: video.title,
+        channel: video.channel || video.handle || null,
+        stage: decision.stage,
+        outcome: decision.shouldShow ? 'shown' : 'hidden',
+        label: decision.label || null,
+        confidence: typeof decision.confidence === 'number' ? decision.confidence : null,
+        latencyMs: typeof decision.latencyMs === 'number' ? decision.latencyMs : null,
+        profileId
+    });
+    if (!logTimer) logTimer = setTimeout(flushDecisionLog, LOG_FLUSH_MS);
+}
+
+function flushDecisionLog() {
+    logTimer = null;
+    const entries = decisionLog;
+    decisionLog = [];
+    if (entries.length) chrome.runtime.sendMessage({ type: 'logDecisions', entries });
+}
+
+function trackUsage() {
+    if (document.visibilityState !== 'visible' || !document.hasFocus()) return;
+    chrome.runtime.sendMessage({
+        type: 'logUsage',
+        seconds: USAGE_TICK_MS / 1000,
+        profileId
+    });
+}
+
+async function processVideo(videoNode, surfaceName) {
+    const title = FocusExtract.getVideoTitle(videoNode);
+
+    // YouTube recycles renderers between pages, so a tile is only "done" for the title it was judged on
+    if (videoNode.getAttribute(PROCESSED_ATTR)) {
+        if (!title || videoNode.getAttribute(TITLE_ATTR) === title) return;
+        resetVideo(videoNode);
     }
+    if (!title) return;
+
+    videoNode.setAttribute(PROCESSED_ATTR, 'pending');
+    videoNode.setAttribute(TITLE_ATTR, title);
+    const channel = FocusExtract.getVideoChannel(videoNode);
+    const runGeneration = generation;
+    const isStale = () => runGeneration !== generation || videoNode.getAttribute(TITLE_ATTR) !== title;
+    const video = { title, channel, handle: FocusExtract.getVideoHandle(videoNode), duration: FocusExtract.getVideoDuration(videoNode) };
+
+    const decision = await FocusPipeline.judgeVideo(video, filter, requestClassification, () => {
+        // Ghost Mode while the AI thinks
+        videoNode.style.opacity = '0.4';
+        videoNode.style.transition = 'opacity 0.3s ease';
+    });
+    if (isStale()) return;
+    applyDecision(videoNode, { surface: surfaceName, video, ...decision });
+}
+
+// === AI BATCHING ===
+// Titles are collected for a moment and sent to the background worker together.
 
-    // === LEVEL 2: AI JUDGMENT ===
+function requestClassification(title, goal) {
+    return new Promise((resolve) => {
+        classifyQueue.push({ title, goal, resolve });
+        if (classifyQueue.length >= BATCH_SIZE) flushClassifyQueue();
+        else if (!batchTimer) batchTimer = setTimeout(flushClassifyQueue, BATCH_DELAY_MS);
+    });
+}
+
+// The worker handles titles one after another, so a long queue needs a longer wait before failing open
+function getBatchTimeout(batchSize) {
+    return Math.min(MAX_TIMEOUT_MS, TIMEOUT_MS + (workerQueueDepth + batchSize) * TIMEOUT_PER_QUEUED_MS);
+}
+
+function flushClassifyQueue() {
+    clearTimeout(batchTimer);
+    batchTimer = null;
+    const batch = classifyQueue.splice(0, BATCH_SIZE);
+    if (classifyQueue.length) batchTimer = setTimeout(flushClassifyQueue, 0);
+    if (!batch.length) return;
+
+    const timeoutMs = getBatchTimeout(batch.length);
+    const sentAt = Date.now();
     let isTimedOut = false;
     const timer = setTimeout(() => {
         isTimedOut = true;
-        // Fail-safe: Show video if AI is stuck
-        videoNode.style.opacity = '1';
-        videoNode.setAttribute(PROCESSED_ATTR, 'done');
-    }, TIMEOUT_MS);
+        debugLog(`⏱️ AI timed out after ${timeoutMs}ms for ${batch.length} titles`);
+        batch.forEach(item => item.resolve({ timedOut: true, latencyMs: timeoutMs }));
+    }, timeoutMs);
 
     chrome.runtime.sendMessage(
-        { type: 'classify', title: title, goal: focusGoal },
+        { type: 'classifyBatch', items: batch.map(({ title, goal }) => ({ title, goal })) },
         (response) => {
             clearTimeout(timer);
+            if (chrome.runtime.lastError) debugLog('AI unavailable:', chrome.runtime.lastError.message);
+            if (response && typeof response.queueDepth === 'number') workerQueueDepth = response.queueDepth;
             if (isTimedOut) return;
 
-            videoNode.setAttribute(PROCESSED_ATTR, 'done');
-
-            const shouldShow = response && response.hasOwnProperty('shouldShow') ? response.shouldShow : true;
-
-            if (shouldShow) {
-                videoNode.style.opacity = '1';
-                debugLog(`✅ AI Allowed: "${title.substring(0, 30)}..."`);
-            } else {
-                videoNode.style.display = 'none';
-                debugLog(`⛔ AI Blocked: "${title.substring(0, 30)}..."`);
-            }
+            const results = (response && response.results) || [];
+            const latencyMs = Date.now() - sentAt;
+            batch.forEach((item, i) => item.resolve({ shouldShow: true, ...results[i], latencyMs }));
         }
     );
 }
 
+// === WATCH GUARD ===
+// The video being watched is judged like a tile, with its description as extra
+// context. Off-goal videos are paused behind an interstitial; continuing spends
+// from a daily allowance of override minutes shared by all tabs.
+
+const guard = {
+    // `${videoId}\u0000${title}` of the judged video; the decision belongs to this key
+    key: null,
+    decision: null,
+    // Interstitial is up and playback is held
+    blocked: false,
+    // The user continued anyway, so playing time counts against the allowance
+    overriding: false,
+    // Keys the user already continued on during this visit
+    overridden: new Set(),
+    // Override seconds not yet written to storage
+    unsavedSeconds: 0,
+    countdownTimer: null,
+    upNext: { title: null, shouldShow: true, cancelled: false }
+};
+
+function getOverrideSecondsLeft() {
+    return FocusSettings.getOverrideSecondsLeft(overrideUsage, filter.watchGuard, new Date()) - guard.unsavedSeconds;
+}
+
+// Read-modify-write, so other tabs spending the allowance are not overwritten
+function saveOverrideUsage() {
+    const seconds = guard.unsavedSeconds;
+    guard.unsavedSeconds = 0;
+    if (!seconds) return;
+    overrideUsage = FocusSettings.addOverrideSeconds(overrideUsage, seconds, new Date());
+    chrome.storage.local.get('overrideUsage', (result) => {
+        chrome.storage.local.set({ overrideUsage: FocusSettings.addOverrideSeconds(result.overrideUsage, seconds, new Date()) });
+    });
+}
+
+function removeInterstitial() {
+    clearInterval(guard.countdownTimer);
+    guard.countdownTimer = null;
+    const overlay = document.getElementById(GUARD_ID);
+    if (overlay) overlay.remove();
+}
+
+// Drops the guard for the current video, e.g. after navigating away
+function releaseGuard() {
+    saveOverrideUsage();
+    removeInterstitial();
+    Object.assign(guard, { key: null, decision: null, blocked: false, overriding: false });
+    guard.upNext = { title: null, shouldShow: true, cancelled: false };
+}
+
+function leaveVideo() {
+    if (history.length > 1) history.back();
+    else location.assign('/');
+}
+
+function continueAnyway(reason) {
+    const { decision } = guard;
+    guard.overridden.add(guard.key);
+    guard.blocked = false;
+    guard.overriding = true;
+    removeInterstitial();
+    debugLog(`▶️ Continued anyway on "${decision.video.title.substring(0, 30)}..."${reason ? `: ${reason}` : ''}`);
+    logDecision({ ...decision, shouldShow: true, stage: 'override', reason: reason || 'Continued anyway' }, 'override');
+
+    const player = FocusExtract.getPlayerVideo(document);
+    if (player) player.play().catch(() => {});
+}
+
+function createGuardElement(tag, className, text) {
+    const element = document.createElement(tag);
+    if (className) element.className = className;
+    if (text) element.textContent = text;
+    return element;
+}
+
+// Countdown: the continue button unlocks after a wait. Reason: it unlocks once enough is typed.
+function renderGate(card, secondsLeft) {
+    const gate = createGuardElement('div', 'focus-guard-gate');
+    card.appendChild(gate);
+
+    if (secondsLeft <= 0) {
+        gate.appendChild(createGuardElement('p', 'focus-guard-note', 'No override time left today.'));
+        return;
+    }
+
+    const button = createGuardElement('button', 'focus-guard-continue');
+    button.disabled = true;
+
+    if (filter.watchGuard.gate === 'reason') {
+        const input = createGuardElement('input', 'focus-guard-reason');
+        input.type = 'text';
+        input.maxLength = 200;
+        input.placeholder = `Why is this worth it? (at least ${filter.watchGuard.minReasonLength} characters)`;
+        input.addEventListener('input', () => {
+            button.disabled = input.value.trim().length < filter.watchGuard.minReasonLength;
+        });
+        input.addEventListener('keydown', (event) => {
+            // YouTube's keyboard shortcuts would otherwise fire while typing
+            event.stopPropagation();
+            if (event.key === 'Enter' && !button.disabled) continueAnyway(input.value.trim());
+        });
+        button.textContent = 'Continue anyway';
+        button.addEventListener('click', () => continueAnyway(input.value.trim()));
+        gate.append(input, button);
+    } else {
+        let remaining = filter.watchGuard.countdownSeconds;
+        const tick = () => {
+            button.disabled = remaining > 0;
+            button.textContent = remaining > 0 ? `Continue anyway (${remaining})` : 'Continue anyway';
+            remaining--;
+            if (remaining < 0) clearInterval(guard.countdownTimer);
+        };
+        tick();
+        if (remaining >= 0) guard.countdownTimer = setInterval(tick, 1000);
+        button.addEventListener('click', () => continueAnyway(''));
+        gate.appendChild(button);
+    }
+
+    const minutes = Math.ceil(secondsLeft / 60);
+    gate.appendChild(createGuardElement('p', 'focus-guard-note', `${minutes} min of override time left today`));
+}
+
+function renderInterstitial() {
+    removeInterstitial();
+    const { decision } = guard;
+    const secondsLeft = getOverrideSecondsLeft();
+
+    const overlay = createGuardElement('div');
+    overlay.id = GUARD_ID;
+    const card = createGuardElement('div', 'focus-guard-card');
+    overlay.appendChild(card);
+
+    const usedUp = secondsLeft <= 0 && guard.overridden.has(guard.key);
+    card.appendChild(createGuardElement('p', 'focus-guard-kicker', usedUp ? '⏱️ Override time is used up' : '⛔ This video is off your focus goal'));
+    card.appendChild(createGuardElement('h2', 'focus-guard-title', decision.video.title));
+    card.appendChild(createGuardElement('p', 'focus-guard-goal', `Your goal: ${filter.profile.goal}`));
+    card.appendChild(createGuardElement('p', 'focus-guard-note', decision.reason));
+
+    const actions = createGuardElement('div', 'focus-guard-actions');
+    const back = createGuardElement('button', 'focus-guard-back', 'Back to focus');
+    back.addEventListener('click', leaveVideo);
+    const wrong = createGuardElement('button', null, 'Wrong, this is on-goal');
+    // The correction re-evaluates the page, which lifts the guard
+    wrong.addEventListener('click', () => sendCorrection(decision, 'title', 'show'));
+    actions.append(back, wrong);
+    card.appendChild(actions);
+
+    renderGate(card, secondsLeft);
+    document.body.appendChild(overlay);
+}
+
+function blockVideo() {
+    // Continuing once covers the rest of the visit, as long as allowance is left
+    if (guard.overridden.has(guard.key) && getOverrideSecondsLeft() > 0) {
+        guard.overriding = true;
+        return;
+    }
+    guard.blocked = true;
+    const player = FocusExtract.getPlayerVideo(document);
+    if (player) player.pause();
+    renderInterstitial();
+}
+
+async function judgeWatchVideo(video) {
+    const { key } = video;
+    const runGeneration = generation;
+    const decision = await FocusPipeline.judgeVideo(video, filter, requestClassification);
+    if (guard.key !== key || runGeneration !== generation) return;
+
+    guard.decision = { surface: 'player', video, ...decision };
+    debugLog(`${decision.shouldShow ? '✅' : '⛔'} [player/${decision.stage}] ${decision.reason}: "${video.title.substring(0, 30)}..."`);
+    logDecision(guard.decision);
+    if (!decision.shouldShow) blockVideo();
+}
+
+// Autoplay: the next video is judged while this one plays, and the end screen countdown is cancelled for off-goal ones
+function checkUpNext() {
+    const video = FocusExtract.getUpNextVideo(document);
+    if (!video) return;
+
+    const { title } = video;
+    const { upNext } = guard;
+    if (title !== upNext.title) {
+        Object.assign(upNext, { title, shouldShow: true, cancelled: false });
+        FocusPipeline.judgeVideo(video, filter, requestClassification).then((decision) => {
+            if (guard.upNext !== upNext || upNext.title !== title) return;
+            upNext.shouldShow = decision.shouldShow;
+            if (!decision.shouldShow) debugLog(`⏭️ Autoplay into "${title.substring(0, 30)}..." will be cancelled: ${decision.reason}`);
+            checkUpNext();
+        });
+        return;
+    }
+
+    const container = document.querySelector(FocusExtract.UP_NEXT_SELECTORS.container);
+    const cancel = container.querySelector(FocusExtract.UP_NEXT_SELECTORS.cancel);
+    if (!upNext.shouldShow && !upNext.cancelled && cancel && container.getClientRects().length) {
+        upNext.cancelled = true;
+        cancel.click();
+    }
+}
+
+function checkWatchPage() {
+    if (!filter.profile || !filter.watchGuard.enabled || FocusExtract.getCurrentSurface(location.pathname) !== 'watch') {
+        if (guard.key) releaseGuard();
+        return;
+    }
+
+    const video = FocusExtract.getWatchVideo(document);
+    if (video && video.key !== guard.key) {
+        releaseGuard();
+        guard.key = video.key;
+        judgeWatchVideo(video);
+    }
+    checkUpNext();
+}
+
+// Counts override time while the video plays and re-blocks once the allowance runs out
+function tickOverride() {
+    if (!guard.overriding) return;
+    const player = FocusExtract.getPlayerVideo(document);
+    if (!player || player.paused) return;
+
+    guard.unsavedSeconds++;
+    if (guard.unsavedSeconds >= OVERRIDE_SAVE_SECONDS) saveOverrideUsage();
+    if (getOverrideSecondsLeft() > 0) return;
+
+    saveOverrideUsage();
+    guard.overriding = false;
+    guard.blocked = true;
+    player.pause();
+    renderInterstitial();
+}
+
+// YouTube starts playback on its own (autoplay, resumes), so a held video is paused again
+document.addEventListener('play', (event) => {
+    if (guard.blocked && event.target instanceof HTMLVideoElement && event.target.closest('#movie_player')) {
+        event.target.pause();
+    }
+}, true);
+
+// === SCANNER ===
+
+function getActiveSurface() {
+    const surfaceName = FocusExtract.getCurrentSurface(location.pathname);
+    if (!filter.profile || !surfaceName || !FocusExtract.isSurfaceEnabled(settings.enabledSurfaces, surfaceName)) return null;
+    return { name: surfaceName, selector: FocusExtract.getSurfaceSelector(FocusExtract.SURFACES[surfaceName]) };
+}
+
 function scanPage() {
-    if (location.pathname !== '/' && location.pathname !== '') return;
-    const videos = document.querySelectorAll('ytd-rich-item-renderer');
-    videos.forEach(processVideo);
+    checkWatchPage();
+    const active = getActiveSurface();
+    if (!active) return;
+    document.querySelectorAll(active.selector).forEach(node => processVideo(node, active.name));
+}
+
+// Mutations arrive in bursts while YouTube renders a feed, so they are collected and handled once per frame
+function scheduleFlush() {
+    if (flushScheduled) return;
+    flushScheduled = true;
+    requestAnimationFrame(() => {
+        flushScheduled = false;
+        const nodes = pendingNodes;
+        pendingNodes = new Set();
+        checkWatchPage();
+
+        const active = getActiveSurface();
+        if (!active) return;
+        const tiles = new Set();
+        nodes.forEach((node) => {
+            if (!node.isConnected) return;
+            node.querySelectorAll(active.selector).forEach(child => tiles.add(child));
+            // Text swapped inside an existing tile (recycled renderer) re-checks the tile itself
+            const tile = node.closest(active.selector);
+            if (tile) tiles.add(tile);
+        });
+        tiles.forEach(tile => processVideo(tile, active.name));
+    });
+}
+
+const observer = new MutationObserver((mutations) => {
+    for (const mutation of mutations) {
+        const target = mutation.target.nodeType === Node.ELEMENT_NODE ? mutation.target : mutation.target.parentElement;
+        if (target) pendingNodes.add(target);
+        mutation.addedNodes.forEach((node) => {
+            if (node.nodeType === Node.ELEMENT_NODE) pendingNodes.add(node);
+        });
+    }
+    scheduleFlush();
+});
+
+function applySettings() {
+    filter = FocusPipeline.createFilterContext(settings);
+}
+
+// Shows every judged tile again and judges the page from scratch
+function rescanPage() {
+    generation++;
+    document.querySelectorAll(`[${PROCESSED_ATTR}]`).forEach(resetVideo);
+    releaseGuard();
+    scanPage();
+}
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName !== 'local') return;
+    if (changes.overrideUsage) overrideUsage = changes.overrideUsage.newValue || null;
+    if (!WATCHED_KEYS.some(key => key in changes)) return;
+    WATCHED_KEYS.forEach((key) => {
+        if (!(key in changes)) return;
+        if (changes[key].newValue === undefined) delete settings[key];
+        else settings[key] = changes[key].newValue;
+    });
+    applySettings();
+    debugLog('Settings changed, re-evaluating feed');
+    rescanPage();
+});
+
+// YouTube is a single-page app: in-app navigation fires this instead of a page load
+document.addEventListener('yt-navigate-finish', () => {
+    loggedVideos.clear();
+    scanPage();
+});
+
+async function init() {
+    const stored = await chrome.storage.local.get([...WATCHED_KEYS, 'overrideUsage']);
+    overrideUsage = stored.overrideUsage || null;
+    delete stored.overrideUsage;
+    Object.assign(settings, stored);
+    applySettings();
+    debugLog('Focus Engine v3.3 (Zero Tolerance)');
+    scanPage();
+    observer.observe(document.body, { childList: true, subtree: true, characterData: true });
+    setInterval(trackUsage, USAGE_TICK_MS);
+    setInterval(tickOverride, 1000);
+    window.addEventListener('pagehide', () => {
+        flushDecisionLog();
+        saveOverrideUsage();
+    });
 }
 
-debugLog('Focus Engine v3.2 (Zero Tolerance)');
-scanPage();
-setInterval(scanPage, 1000);
-window.addEventListener('scroll', scanPage, { passive: true });
+init();
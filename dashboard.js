@@ -0,0 +1,239 @@
+/**
+ * Dashboard Script - Focus Statistics
+ *
+ * Reads the local decision history from the background worker, summarizes
+ * it and offers CSV/JSON exports. Nothing here leaves the machine unless
+ * the user downloads an export.
+ */
+
+// ============================================================================
+// STATE
+// ============================================================================
+
+const TOP_LIMIT = 10;
+const CSV_COLUMNS = ['ts', 'surface', 'title', 'channel', 'stage', 'outcome', 'label', 'confidence', 'latencyMs', 'profileId'];
+
+// Last history received from the background worker, used by the exports
+let focusHistory = { decisions: [], inference: [], usage: [] };
+let profiles = [];
+
+// ============================================================================
+// SUMMARIES
+// ============================================================================
+
+/**
+ * Formats a timestamp as a local YYYY-MM-DD day
+ * @param {number} ts
+ * @returns {string}
+ */
+function localDate(ts) {
+    const date = new Date(ts);
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Counts values and returns the most frequent ones
+ * @param {Array<string>} values
+ * @returns {Array<[string, number]>} Value and count pairs, most frequent first
+ */
+function topCounts(values) {
+    const counts = new Map();
+    values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+    return Array.from(counts.entries()).sort((a, b) => b[1] - a[1]).slice(0, TOP_LIMIT);
+}
+
+/**
+ * Turns the raw history into the numbers the dashboard shows
+ * @param {{decisions: Array<Object>, inference: Array<Object>, usage: Array<Object>}} data
+ * @param {number} days - Length of the range, ending today
+ * @returns {Object}
+ */
+function summarize(data, days) {
+    // "Continue anyway" on the watch page is logged next to the decision it overrode
+    const decisions = data.decisions.filter(entry => entry.stage !== 'override');
+    const hidden = decisions.filter(entry => entry.outcome === 'hidden');
+    const aiAnswers = decisions.filter(entry => entry.stage === 'ai' || entry.stage === 'learned' || entry.stage === 'timeout');
+    const timeouts = aiAnswers.filter(entry => entry.stage === 'timeout');
+    const latencies = aiAnswers.filter(entry => entry.stage !== 'timeout' && typeof entry.latencyMs === 'number');
+    const modelTitles = data.inference.reduce((total, entry) => total + entry.count, 0);
+    const modelMs = data.inference.reduce((total, entry) => total + entry.ms, 0);
+
+    const hiddenPerDay = [];
+    for (let i = days - 1; i >= 0; i--) {
+        // Stepping by calendar day keeps DST changes from skipping or repeating a day
+        const day = new Date();
+        day.setDate(day.getDate() - i);
+        const date = localDate(day.getTime());
+        hiddenPerDay.push([date, hidden.filter(entry => localDate(entry.ts) === date).length]);
+    }
+
+    const usagePerProfile = new Map();
+    data.usage.forEach((entry) => {
+        usagePerProfile.set(entry.profileId, (usagePerProfile.get(entry.profileId) || 0) + entry.seconds);
+    });
+
+    return {
+        hiddenCount: hidden.length,
+        hiddenRate: decisions.length ? hidden.length / decisions.length : null,
+        averageLatencyMs: latencies.length ? latencies.reduce((total, entry) => total + entry.latencyMs, 0) / latencies.length : null,
+        timeoutRate: aiAnswers.length ? timeouts.length / aiAnswers.length : null,
+        modelMsPerTitle: modelTitles ? modelMs / modelTitles : null,
+        totalSeconds: data.usage.reduce((total, entry) => total + entry.seconds, 0),
+        hiddenPerDay,
+        topChannels: topCounts(hidden.filter(entry => entry.channel).map(entry => entry.channel)),
+        topCategories: topCounts(hidden.map(entry => (entry.stage === 'ai' && entry.label ? entry.label : `(${entry.stage})`))),
+        usagePerProfile: Array.from(usagePerProfile.entries()).sort((a, b) => b[1] - a[1])
+    };
+}
+
+// ============================================================================
+// RENDERING
+// ============================================================================
+
+function formatPercent(value) {
+    return value === null ? '-' : `${Math.round(value * 100)}%`;
+}
+
+function formatMs(value) {
+    return value === null ? '-' : `${Math.round(value)} ms`;
+}
+
+function formatDuration(seconds) {
+    const minutes = Math.round(seconds / 60);
+    return minutes >= 60 ? `${Math.floor(minutes / 60)}h ${minutes % 60}m` : `${minutes}m`;
+}
+
+function profileName(profileId) {
+    const profile = profiles.find(item => item.id === profileId);
+    return profile ? profile.name : profileId ? `Deleted profile (${profileId})` : 'Filtering off';
+}
+
+/**
+ * Fills a two-column table, or shows a placeholder row when empty
+ * @param {string} tableId
+ * @param {Array<[string, string|number]>} rows
+ */
+function renderTable(tableId, rows) {
+    const table = document.getElementById(tableId);
+    table.textContent = '';
+    (rows.length ? rows : [['Nothing recorded yet', '']]).forEach(([name, value]) => {
+        const row = table.insertRow();
+        row.insertCell().textContent = name;
+        row.insertCell().textContent = value;
+    });
+}
+
+function renderChart(hiddenPerDay) {
+    const chart = document.getElementById('dailyChart');
+    const max = Math.max(1, ...hiddenPerDay.map(([, count]) => count));
+    chart.textContent = '';
+
+    hiddenPerDay.forEach(([date, count]) => {
+        const bar = document.createElement('div');
+        bar.className = 'bar';
+        bar.title = `${date}: ${count} hidden`;
+
+        const value = document.createElement('span');
+        value.textContent = count;
+        const fill = document.createElement('div');
+        fill.className = 'bar-fill';
+        fill.style.height = `${(count / max) * 100}%`;
+        const label = document.createElement('span');
+        label.textContent = date.slice(5);
+
+        bar.append(value, fill, label);
+        chart.appendChild(bar);
+    });
+}
+
+function render(summary) {
+    document.getElementById('statHidden').textContent = summary.hiddenCount;
+    document.getElementById('statHiddenRate').textContent = formatPercent(summary.hiddenRate);
+    document.getElementById('statLatency').textContent = formatMs(summary.averageLatencyMs);
+    document.getElementById('statTimeouts').textContent = formatPercent(summary.timeoutRate);
+    document.getElementById('statModel').textContent = formatMs(summary.modelMsPerTitle);
+    document.getElementById('statTime').textContent = formatDuration(summary.totalSeconds);
+
+    renderChart(summary.hiddenPerDay);
+    renderTable('channelTable', summary.topChannels);
+    renderTable('categoryTable', summary.topCategories);
+    renderTable('usageTable', summary.usagePerProfile.map(([profileId, seconds]) => [profileName(profileId), formatDuration(seconds)]));
+}
+
+// ============================================================================
+// DATA & EXPORTS
+// ============================================================================
+
+/**
+ * Asks the background worker for the selected range and re-renders
+ */
+function loadHistory() {
+    const days = Number(document.getElementById('rangeSelect').value);
+
+    try {
+        chrome.storage.local.get(['profiles', 'focusGoal', 'strictness'], (result) => {
+            profiles = FocusSettings.getProfiles(result);
+
+            chrome.runtime.sendMessage({ type: 'getHistory', days }, (response) => {
+                if (chrome.runtime.lastError || !response || !response.ok) {
+                    console.error('History unavailable:', chrome.runtime.lastError);
+                    return;
+                }
+                focusHistory = { decisions: response.decisions, inference: response.inference, usage: response.usage };
+                render(summarize(focusHistory, days));
+            });
+        });
+    } catch (error) {
+        console.error('Extension API error:', error);
+    }
+}
+
+/**
+ * Offers text as a file download
+ * @param {string} filename
+ * @param {string} text
+ * @param {string} type - MIME type
+ */
+function download(filename, text, type) {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function csvField(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function exportCsv() {
+    const lines = [CSV_COLUMNS.join(',')];
+    focusHistory.decisions.forEach((entry) => {
+        lines.push(CSV_COLUMNS.map(column => csvField(column === 'ts' ? new Date(entry.ts).toISOString() : entry[column])).join(','));
+    });
+    download(`youtube-focus-decisions-${localDate(Date.now())}.csv`, lines.join('\n'), 'text/csv');
+}
+
+function exportJson() {
+    download(`youtube-focus-history-${localDate(Date.now())}.json`, JSON.stringify(focusHistory, null, 2), 'application/json');
+}
+
+function clearHistory() {
+    if (!confirm('Delete all recorded decisions and usage?')) return;
+    chrome.runtime.sendMessage({ type: 'clearHistory' }, () => loadHistory());
+}
+
+// ============================================================================
+// INITIALIZATION
+// ============================================================================
+
+document.addEventListener('DOMContentLoaded', () => {
+    document.getElementById('rangeSelect').addEventListener('change', loadHistory);
+    document.getElementById('exportCsvBtn').addEventListener('click', exportCsv);
+    document.getElementById('exportJsonBtn').addEventListener('click', exportJson);
+    document.getElementById('clearHistoryBtn').addEventListener('click', clearHistory);
+    loadHistory();
+});
@@ -0,0 +1,284 @@
+/**
+ * YouTube Markup Extraction
+ *
+ * Knows where YouTube puts titles, channels, durations and descriptions on
+ * each surface. Everything YouTube-markup-specific lives here, so a markup
+ * change means updating selectors in one place and re-running the fixture
+ * tests. Functions take a node or document instead of using globals.
+ * Loaded as a plain script by the content script, after rules.js.
+ */
+(function (root, factory) {
+    const isModule = typeof module === 'object' && module.exports;
+    const api = isModule ? factory(require('./rules.js')) : factory(root.FocusRules);
+    if (isModule) module.exports = api;
+    else root.FocusExtract = api;
+})(typeof self !== 'undefined' ? self : this, (FocusRules) => {
+
+    // ============================================================================
+    // SELECTORS
+    // ============================================================================
+
+    // Common words dropped when turning the goal into keywords
+    const STOP_WORDS = [
+        'i', 'want', 'to', 'learn', 'how', 'about', 'the', 'and', 'for', 'in', 'on', 'with', 'best', 'top',
+        'what', 'is', 'a', 'an', 'make', 'do', 'get', 'watch', 'video', 'tutorial', 'guide', 'complete',
+        'beginner', 'advanced', 'course', 'full'
+    ];
+
+    // Every renderer knows where its title and channel live. Selectors are tried in order.
+    const RENDERERS = {
+        'ytd-rich-item-renderer': {
+            title: ['#video-title', 'a#video-title-link'],
+            channel: ['ytd-channel-name #text', '#channel-name a']
+        },
+        'ytd-video-renderer': {
+            title: ['#video-title', 'a#video-title'],
+            channel: ['ytd-channel-name #text', '#channel-info ytd-channel-name a']
+        },
+        'ytd-compact-video-renderer': {
+            title: ['#video-title', 'span#video-title'],
+            channel: ['ytd-channel-name #text', '#channel-name #text']
+        },
+        'ytd-grid-video-renderer': {
+            title: ['#video-title', 'a#video-title'],
+            channel: ['ytd-channel-name #text']
+        },
+        'yt-lockup-view-model': {
+            title: ['h3 a[title]', 'h3'],
+            channel: ['yt-content-metadata-view-model span']
+        },
+        '.ytp-videowall-still': {
+            title: ['.ytp-videowall-still-info-title'],
+            channel: ['.ytp-videowall-still-info-author']
+        },
+        '.ytp-ce-video': {
+            title: ['.ytp-ce-video-title'],
+            channel: ['.ytp-ce-channel-title']
+        }
+    };
+
+    // Duration overlays look the same on every renderer
+    const DURATION_SELECTORS = [
+        'ytd-thumbnail-overlay-time-status-renderer #text',
+        'badge-shape .badge-shape-wiz__text',
+        '.yt-badge-shape__text',
+        '.ytp-videowall-still-info-duration'
+    ];
+
+    // Each surface lists the renderers that show videos on it.
+    const SURFACES = {
+        home: {
+            match: (path) => path === '/' || path === '',
+            renderers: ['ytd-rich-item-renderer']
+        },
+        search: {
+            match: (path) => path === '/results',
+            renderers: ['ytd-video-renderer']
+        },
+        watch: {
+            match: (path) => path === '/watch',
+            renderers: ['ytd-compact-video-renderer', 'yt-lockup-view-model', '.ytp-videowall-still', '.ytp-ce-video'],
+            scope: '#secondary, #movie_player'
+        },
+        channel: {
+            match: (path) => /^\/(@|channel\/|c\/|user\/)/.test(path),
+            renderers: ['ytd-rich-item-renderer', 'ytd-grid-video-renderer']
+        }
+    };
+
+    // The video being watched
+    const WATCH_SELECTORS = {
+        title: ['ytd-watch-metadata h1 yt-formatted-string', 'ytd-watch-metadata h1'],
+        channel: ['ytd-watch-metadata ytd-channel-name a', 'ytd-video-owner-renderer ytd-channel-name a'],
+        owner: 'ytd-watch-metadata #owner',
+        description: ['ytd-watch-metadata #description-inline-expander', 'ytd-watch-metadata #description'],
+        player: '#movie_player video'
+    };
+
+    // The end screen that autoplays the next video
+    const UP_NEXT_SELECTORS = {
+        container: '.ytp-autonav-endscreen-upnext-container',
+        title: ['.ytp-autonav-endscreen-upnext-title'],
+        channel: ['.ytp-autonav-endscreen-upnext-author'],
+        cancel: '.ytp-autonav-endscreen-upnext-cancel-button'
+    };
+
+    // Description text sent to the AI along with the title of the video being watched
+    const DESCRIPTION_CHARS = 300;
+
+    // ============================================================================
+    // SURFACES
+    // ============================================================================
+
+    /**
+     * @param {string} path - location.pathname
+     * @returns {string|null} Name of the surface, or null on pages that are not filtered
+     */
+    function getCurrentSurface(path) {
+        return Object.keys(SURFACES).find(name => SURFACES[name].match(path)) || null;
+    }
+
+    function isSurfaceEnabled(enabledSurfaces, surfaceName) {
+        // Surfaces are on unless the user switched them off in the popup
+        return !enabledSurfaces || enabledSurfaces[surfaceName] !== false;
+    }
+
+    /**
+     * Selector for every tile on a surface, limited to the surface's scope
+     * @param {Object} surface - Entry of SURFACES
+     * @returns {string}
+     */
+    function getSurfaceSelector(surface) {
+        if (!surface.scope) return surface.renderers.join(', ');
+        return surface.scope.split(',')
+            .flatMap(scope => surface.renderers.map(renderer => `${scope.trim()} ${renderer}`))
+            .join(', ');
+    }
+
+    // ============================================================================
+    // TILES
+    // ============================================================================
+
+    function getRendererConfig(node) {
+        const selector = Object.keys(RENDERERS).find(sel => node.matches(sel));
+        return selector ? RENDERERS[selector] : null;
+    }
+
+    function queryText(node, selectors) {
+        for (const selector of selectors) {
+            const el = node.querySelector(selector);
+            if (!el) continue;
+            const text = (el.getAttribute('title') || el.textContent || '').trim();
+            if (text) return text;
+        }
+        return null;
+    }
+
+    function getVideoTitle(node) {
+        const renderer = getRendererConfig(node);
+        const title = renderer ? queryText(node, renderer.title) : null;
+        if (title) return title;
+
+        let el = node.querySelector('#video-title');
+        if (el && el.textContent.trim()) return el.textContent.trim();
+        el = node.querySelector('a#video-title-link');
+        if (el && el.title) return el.title;
+        el = node.querySelector('a[aria-label]');
+        if (el && el.getAttribute('aria-label')) return el.getAttribute('aria-label').split(' by ')[0];
+        return null;
+    }
+
+    function getVideoChannel(node) {
+        const renderer = getRendererConfig(node);
+        const channel = renderer ? queryText(node, renderer.channel) : null;
+        if (channel) return channel.split(' • ')[0];
+
+        // Channel grids leave the name out of each tile, so fall back to the page header
+        const doc = node.ownerDocument;
+        if (getCurrentSurface(doc.location.pathname) === 'channel') {
+            return queryText(doc, ['yt-page-header-renderer h1', '#channel-header #channel-name #text']);
+        }
+        return null;
+    }
+
+    function getVideoHandle(node) {
+        const link = node.querySelector('a[href^="/@"]');
+        if (link) return link.getAttribute('href').slice(1).split('/')[0];
+
+        // Channel grids leave the link out of each tile, so fall back to the page URL
+        const path = node.ownerDocument.location.pathname;
+        if (getCurrentSurface(path) === 'channel' && path.startsWith('/@')) {
+            return path.slice(1).split('/')[0];
+        }
+        return null;
+    }
+
+    /**
+     * @param {Element} node - Tile
+     * @returns {number|null} Duration in seconds from the thumbnail overlay
+     */
+    function getVideoDuration(node) {
+        for (const selector of DURATION_SELECTORS) {
+            const el = node.querySelector(selector);
+            const seconds = el ? FocusRules.parseDuration(el.textContent) : null;
+            if (seconds !== null) return seconds;
+        }
+        return null;
+    }
+
+    // Smart Extractor
+    function getDynamicKeywords(goalPhrase) {
+        if (!goalPhrase) return [];
+        return goalPhrase.toLowerCase()
+            .replace(/[^\w\s]/g, '') // Remove punctuation
+            .split(/\s+/) // Split by space
+            .filter(w => !STOP_WORDS.includes(w) && w.length > 2); // Remove common words
+    }
+
+    // ============================================================================
+    // WATCH PAGE
+    // ============================================================================
+
+    function getPlayerVideo(doc) {
+        return doc.querySelector(WATCH_SELECTORS.player);
+    }
+
+    /**
+     * Reads the video being watched
+     * @param {Document} doc
+     * @returns {Object|null} The video, keyed by id and title, or null while the page still shows the previous one
+     */
+    function getWatchVideo(doc) {
+        const videoId = new URLSearchParams(doc.location.search).get('v');
+        const page = doc.querySelector('ytd-watch-flexy');
+        // The metadata still describes the previous video until the page element switches ids
+        if (!videoId || !page || page.getAttribute('video-id') !== videoId) return null;
+
+        const title = queryText(doc, WATCH_SELECTORS.title);
+        if (!title) return null;
+        const owner = doc.querySelector(WATCH_SELECTORS.owner);
+        const description = queryText(doc, WATCH_SELECTORS.description);
+        const player = getPlayerVideo(doc);
+        return {
+            key: `${videoId}\u0000${title}`,
+            title,
+            channel: queryText(doc, WATCH_SELECTORS.channel),
+            handle: owner ? getVideoHandle(owner) : null,
+            duration: player && Number.isFinite(player.duration) ? Math.round(player.duration) : null,
+            description: description ? description.replace(/\s+/g, ' ').substring(0, DESCRIPTION_CHARS) : null
+        };
+    }
+
+    /**
+     * Reads the video the end screen is about to autoplay
+     * @param {Document} doc
+     * @returns {{title: string, channel: ?string, handle: null, duration: null}|null}
+     */
+    function getUpNextVideo(doc) {
+        const container = doc.querySelector(UP_NEXT_SELECTORS.container);
+        const title = container ? queryText(container, UP_NEXT_SELECTORS.title) : null;
+        if (!title) return null;
+        return { title, channel: queryText(container, UP_NEXT_SELECTORS.channel), handle: null, duration: null };
+    }
+
+    return {
+        DURATION_SELECTORS,
+        RENDERERS,
+        STOP_WORDS,
+        SURFACES,
+        UP_NEXT_SELECTORS,
+        WATCH_SELECTORS,
+        getCurrentSurface,
+        getDynamicKeywords,
+        getPlayerVideo,
+        getSurfaceSelector,
+        getUpNextVideo,
+        getVideoChannel,
+        getVideoDuration,
+        getVideoHandle,
+        getVideoTitle,
+        getWatchVideo,
+        isSurfaceEnabled,
+        queryText
+    };
+});
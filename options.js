@@ -0,0 +1,417 @@
+/**
+ * Options Page - Allow/Block Rules, Learned Corrections & Settings Files
+ *
+ * Lets the user manage the rule list, preview how a title would be handled,
+ * review what was learned from feedback and move settings between browsers.
+ * Every change is saved straight to chrome.storage.local, which open YouTube
+ * tabs pick up immediately.
+ */
+
+// ============================================================================
+// STATE
+// ============================================================================
+
+const MATCH_LABELS = {
+    keyword: 'contains',
+    word: 'contains word',
+    regex: 'matches regex',
+    exact: 'is exactly',
+    shorter: 'shorter than (min)',
+    longer: 'longer than (min)'
+};
+
+let rules = [];
+// Raw storage contents, used to find the active profile's blacklist for the preview
+let stored = {};
+
+// ============================================================================
+// RULE LIST
+// ============================================================================
+
+/**
+ * Persists the rule list
+ */
+function saveRules() {
+    try {
+        chrome.storage.local.set({ rules: rules }, () => {
+            if (chrome.runtime.lastError) {
+                console.error('Storage error:', chrome.runtime.lastError);
+                showRuleError('Error saving rules. Please try again.');
+            }
+        });
+    } catch (error) {
+        console.error('Storage API error:', error);
+        showRuleError('Error: Extension context invalidated. Please reload the extension.');
+    }
+}
+
+/**
+ * Shows (or clears, with an empty string) the message under the rule form
+ * @param {string} message
+ */
+function showRuleError(message) {
+    document.getElementById('ruleError').textContent = message;
+}
+
+/**
+ * Creates a small button for a rule row
+ * @param {string} text - Button label
+ * @param {string} title - Tooltip
+ * @param {Function} onClick
+ * @returns {HTMLButtonElement}
+ */
+function createIconButton(text, title, onClick) {
+    const button = document.createElement('button');
+    button.className = 'icon-button';
+    button.textContent = text;
+    button.title = title;
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+/**
+ * Swaps a rule with its neighbour to change its priority
+ * @param {number} index - Current position
+ * @param {number} offset - -1 to move up, 1 to move down
+ */
+function moveRule(index, offset) {
+    const target = index + offset;
+    if (target < 0 || target >= rules.length) return;
+    [rules[index], rules[target]] = [rules[target], rules[index]];
+    saveRules();
+    renderRules();
+}
+
+/**
+ * Renders the rule list in priority order
+ */
+function renderRules() {
+    const listElement = document.getElementById('ruleList');
+    listElement.textContent = '';
+    document.getElementById('emptyRules').style.display = rules.length ? 'none' : 'block';
+
+    rules.forEach((rule, index) => {
+        const item = document.createElement('li');
+        item.className = `rule-item ${rule.action}${rule.enabled ? '' : ' disabled'}`;
+
+        const text = document.createElement('span');
+        text.className = 'rule-text';
+        text.textContent = `${index + 1}. ${FocusRules.describeRule(rule)}`;
+
+        const upButton = createIconButton('↑', 'Higher priority', () => moveRule(index, -1));
+        upButton.disabled = index === 0;
+        const downButton = createIconButton('↓', 'Lower priority', () => moveRule(index, 1));
+        downButton.disabled = index === rules.length - 1;
+
+        const toggleButton = createIconButton(rule.enabled ? 'On' : 'Off', 'Enable or disable', () => {
+            rule.enabled = !rule.enabled;
+            saveRules();
+            renderRules();
+        });
+        const deleteButton = createIconButton('×', 'Delete rule', () => {
+            rules = rules.filter(item => item !== rule);
+            saveRules();
+            renderRules();
+        });
+
+        item.append(text, upButton, downButton, toggleButton, deleteButton);
+        listElement.appendChild(item);
+    });
+
+    runTest();
+}
+
+/**
+ * Refills the match type dropdown for the selected field
+ */
+function updateMatchOptions() {
+    const field = document.getElementById('ruleField').value;
+    const matchSelect = document.getElementById('ruleMatch');
+    matchSelect.textContent = '';
+    FocusRules.MATCH_TYPES[field].forEach((match) => {
+        matchSelect.appendChild(new Option(MATCH_LABELS[match], match));
+    });
+}
+
+/**
+ * Validates the form and appends the rule to the end of the list
+ */
+function addRule() {
+    const valueInput = document.getElementById('ruleValue');
+    const rule = {
+        action: document.getElementById('ruleAction').value,
+        field: document.getElementById('ruleField').value,
+        match: document.getElementById('ruleMatch').value,
+        value: valueInput.value,
+        enabled: true
+    };
+
+    const error = FocusRules.validateRule(rule);
+    if (error) {
+        showRuleError(error);
+        return;
+    }
+
+    showRuleError('');
+    rules = rules.concat(FocusRules.normalizeRules([rule]));
+    valueInput.value = '';
+    saveRules();
+    renderRules();
+}
+
+// ============================================================================
+// LEARNED CORRECTIONS
+// ============================================================================
+
+/**
+ * Removes one correction; the background worker drops its stored example when it sees the change
+ * @param {string} kind - 'titles' or 'channels'
+ * @param {string} id - Correction id
+ */
+function deleteCorrection(kind, id) {
+    const corrections = FocusSettings.normalizeCorrections(stored.corrections);
+    corrections[kind] = corrections[kind].filter(entry => entry.id !== id);
+
+    try {
+        chrome.storage.local.set({ corrections: corrections });
+    } catch (error) {
+        console.error('Storage API error:', error);
+    }
+}
+
+/**
+ * Renders one list of corrections, newest first
+ * @param {string} kind - 'titles' or 'channels'
+ * @param {string} listId - Element id of the list
+ * @param {string} emptyId - Element id of the "nothing learned" hint
+ * @param {function(Object): string} describe - Text for one entry
+ */
+function renderCorrectionList(kind, listId, emptyId, describe) {
+    const entries = FocusSettings.normalizeCorrections(stored.corrections)[kind].slice().reverse();
+    const listElement = document.getElementById(listId);
+    listElement.textContent = '';
+    document.getElementById(emptyId).style.display = entries.length ? 'none' : 'block';
+
+    entries.forEach((entry) => {
+        const item = document.createElement('li');
+        item.className = `rule-item ${entry.verdict}`;
+
+        const text = document.createElement('span');
+        text.className = 'rule-text';
+        text.textContent = `${entry.verdict === 'show' ? 'Show' : 'Hide'}: ${describe(entry)}`;
+
+        item.append(text, createIconButton('×', 'Forget this correction', () => deleteCorrection(kind, entry.id)));
+        listElement.appendChild(item);
+    });
+}
+
+/**
+ * Renders the title and channel corrections
+ */
+function renderCorrections() {
+    renderCorrectionList('titles', 'titleCorrections', 'emptyTitleCorrections',
+        entry => `"${entry.title}" (goal: ${entry.goal})`);
+    renderCorrectionList('channels', 'channelCorrections', 'emptyChannelCorrections',
+        entry => [entry.channel, entry.handle].filter(Boolean).join(' '));
+}
+
+// ============================================================================
+// LIVE PREVIEW
+// ============================================================================
+
+/**
+ * Runs the test inputs through the rules, learned corrections and the active profile's blacklist
+ */
+function runTest() {
+    const resultElement = document.getElementById('testResult');
+    const title = document.getElementById('testTitle').value.trim();
+    const durationText = document.getElementById('testDuration').value;
+    const channel = document.getElementById('testChannel').value.trim() || null;
+
+    if (!title) {
+        resultElement.textContent = 'Type a title to see which rule decides.';
+        resultElement.className = 'test-result';
+        return;
+    }
+
+    const video = {
+        title,
+        channel,
+        handle: channel && channel.startsWith('@') ? channel : null,
+        duration: FocusRules.parseDuration(durationText)
+    };
+
+    const rule = FocusRules.findMatchingRule(FocusRules.compileRules(rules), video);
+    if (rule) {
+        const position = rules.findIndex(item => item.id === rule.id) + 1;
+        resultElement.textContent = `${rule.action === 'allow' ? '✅ Shown' : '⛔ Hidden'} by rule ${position}: ${FocusRules.describeRule(rule)}`;
+        resultElement.className = `test-result ${rule.action}`;
+        return;
+    }
+
+    const profile = FocusSettings.getActiveProfile(stored);
+    const corrections = FocusSettings.normalizeCorrections(stored.corrections);
+    const correction = profile && FocusSettings.findCorrection(corrections, video, profile.goal);
+    if (correction) {
+        resultElement.textContent = `${correction.verdict === 'show' ? '✅ Shown' : '⛔ Hidden'} by a learned ${correction.kind} correction`;
+        resultElement.className = `test-result ${correction.verdict === 'show' ? 'allow' : 'block'}`;
+        return;
+    }
+
+    const blacklisted = profile && FocusRules.findMatchingRule(FocusRules.compileRules(FocusRules.blacklistToRules(profile.blacklist)), video);
+    if (blacklisted) {
+        resultElement.textContent = `⛔ Hidden by the "${profile.name}" blacklist word "${blacklisted.value}"`;
+        resultElement.className = 'test-result block';
+        return;
+    }
+
+    resultElement.textContent = 'No rule matched: keyword matching and the AI decide.';
+    resultElement.className = 'test-result';
+}
+
+// ============================================================================
+// SETTINGS FILE & SYNC
+// ============================================================================
+
+/**
+ * Shows the result of an import or export
+ * @param {string} message
+ * @param {boolean} isError
+ */
+function showSettingsStatus(message, isError) {
+    const statusElement = document.getElementById('settingsStatus');
+    statusElement.textContent = message;
+    statusElement.className = isError ? 'status error' : 'status ok';
+}
+
+/**
+ * Downloads the current settings as a versioned JSON file
+ */
+function exportSettings() {
+    const file = FocusSchema.createSettingsFile(stored, new Date());
+    const url = URL.createObjectURL(new Blob([JSON.stringify(file, null, 2)], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `youtube-focus-settings-${file.exportedAt.slice(0, 10)}.json`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+    showSettingsStatus('Settings exported.', false);
+}
+
+/**
+ * Reads the chosen file and, after confirmation, replaces the settings it contains
+ * @param {File} file
+ */
+function importSettings(file) {
+    const reader = new FileReader();
+    reader.onload = () => {
+        let settings;
+        try {
+            settings = FocusSchema.parseSettingsFile(reader.result);
+        } catch (error) {
+            showSettingsStatus(error.message, true);
+            return;
+        }
+
+        const keys = Object.keys(settings);
+        if (!confirm(`Replace your ${keys.join(', ')} with the contents of "${file.name}"?`)) return;
+
+        try {
+            chrome.storage.local.set(settings, () => {
+                if (chrome.runtime.lastError) {
+                    console.error('Storage error:', chrome.runtime.lastError);
+                    showSettingsStatus('Error saving the imported settings. Please try again.', true);
+                    return;
+                }
+                showSettingsStatus(`Imported ${keys.join(', ')} from "${file.name}".`, false);
+            });
+        } catch (error) {
+            console.error('Storage API error:', error);
+            showSettingsStatus('Error: Extension context invalidated. Please reload the extension.', true);
+        }
+    };
+    reader.onerror = () => showSettingsStatus(`Could not read "${file.name}".`, true);
+    reader.readAsText(file);
+}
+
+/**
+ * Shows whether sync is on and how the last sync went
+ */
+function renderSync() {
+    document.getElementById('syncEnabled').checked = stored.syncEnabled === true;
+    const statusElement = document.getElementById('syncStatus');
+    const status = stored.syncEnabled ? stored.syncStatus : null;
+    statusElement.textContent = status ? status.message : '';
+    statusElement.className = status && !status.ok ? 'status error' : 'status ok';
+}
+
+/**
+ * Turns mirroring to chrome.storage.sync on or off; the background worker does the syncing
+ */
+function toggleSync() {
+    try {
+        chrome.storage.local.set({ syncEnabled: document.getElementById('syncEnabled').checked });
+    } catch (error) {
+        console.error('Storage API error:', error);
+    }
+}
+
+// ============================================================================
+// INITIALIZATION
+// ============================================================================
+
+/**
+ * Loads rules, profile data and sync state from Chrome storage
+ */
+function loadOptions() {
+    try {
+        chrome.storage.local.get(null, (result) => {
+            if (chrome.runtime.lastError) {
+                console.error('Storage retrieval error:', chrome.runtime.lastError);
+                return;
+            }
+            stored = result;
+            rules = FocusRules.normalizeRules(result.rules);
+            renderRules();
+            renderCorrections();
+            renderSync();
+        });
+    } catch (error) {
+        console.error('Storage API error:', error);
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    document.getElementById('ruleField').addEventListener('change', updateMatchOptions);
+    document.getElementById('addRuleBtn').addEventListener('click', addRule);
+    document.getElementById('ruleValue').addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') addRule();
+    });
+    document.getElementById('exportSettingsBtn').addEventListener('click', exportSettings);
+    document.getElementById('importSettingsBtn').addEventListener('click', () => document.getElementById('importFile').click());
+    document.getElementById('importFile').addEventListener('change', (e) => {
+        if (e.target.files[0]) importSettings(e.target.files[0]);
+        // Choosing the same file again should import again
+        e.target.value = '';
+    });
+    document.getElementById('syncEnabled').addEventListener('change', toggleSync);
+    ['testTitle', 'testChannel', 'testDuration'].forEach((id) => {
+        document.getElementById(id).addEventListener('input', runTest);
+    });
+
+    // Keep the preview honest when the popup switches profiles
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName !== 'local') return;
+        Object.keys(changes).forEach((key) => {
+            if (changes[key].newValue === undefined) delete stored[key];
+            else stored[key] = changes[key].newValue;
+        });
+        if (changes.rules) rules = FocusRules.normalizeRules(changes.rules.newValue);
+        renderRules();
+        if (changes.corrections) renderCorrections();
+        if (changes.syncEnabled || changes.syncStatus) renderSync();
+    });
+
+    updateMatchOptions();
+    loadOptions();
+});
@@ -0,0 +1,114 @@
+/**
+ * Filtering Pipeline
+ *
+ * Decides whether a video fits the active focus goal. Stages run in order
+ * and the first one with an answer wins: user rules, learned corrections,
+ * the profile blacklist, goal keywords, then the AI. The AI is reached
+ * through a `classify` callback, so the pipeline runs the same in the
+ * content script and in tests. Loaded as a plain script after settings.js,
+ * rules.js and extract.js.
+ */
+(function (root, factory) {
+    const isModule = typeof module === 'object' && module.exports;
+    const api = isModule
+        ? factory(require('./settings.js'), require('./rules.js'), require('./extract.js'))
+        : factory(root.FocusSettings, root.FocusRules, root.FocusExtract);
+    if (isModule) module.exports = api;
+    else root.FocusPipeline = api;
+})(typeof self !== 'undefined' ? self : this, (FocusSettings, FocusRules, FocusExtract) => {
+
+    /**
+     * Prepares everything the stages need from the stored settings
+     * @param {Object} settings - Raw chrome.storage.local contents
+     * @returns {{profile: ?Object, rules: Array<Object>, blacklist: Array<Object>, corrections: Object, watchGuard: Object}}
+     *   `profile` is null when filtering is off
+     */
+    function createFilterContext(settings) {
+        const profile = FocusSettings.getActiveProfile(settings);
+        return {
+            profile,
+            // User rules and the profile blacklist, compiled once per settings change
+            rules: FocusRules.compileRules(settings.rules),
+            blacklist: FocusRules.compileRules(FocusRules.blacklistToRules(profile ? profile.blacklist : [])),
+            // Titles and channels the user marked as wrongly shown or hidden
+            corrections: FocusSettings.normalizeCorrections(settings.corrections),
+            watchGuard: FocusSettings.normalizeWatchGuard(settings.watchGuard)
+        };
+    }
+
+    /**
+     * Turns the background worker's classification into a decision with a reason
+     * @param {Object} response - Worker answer, or {timedOut, latencyMs}
+     * @param {string} goal - Active focus goal
+     * @returns {Object} Decision fields: shouldShow, stage, reason, label, confidence, latencyMs
+     */
+    function describeClassification(response, goal) {
+        if (response.timedOut) {
+            return { shouldShow: true, stage: 'timeout', reason: 'AI timed out, shown to be safe', latencyMs: response.latencyMs };
+        }
+
+        const details = { label: response.label, confidence: response.confidence, latencyMs: response.latencyMs };
+        if (response.learnedFrom) {
+            const similarity = Math.round(response.similarity * 100);
+            return { ...details, shouldShow: response.shouldShow, stage: 'learned', reason: `Like "${response.learnedFrom.substring(0, 30)}" you corrected (${similarity}% similar)` };
+        }
+        if (typeof response.label !== 'string') return { ...details, shouldShow: response.shouldShow !== false, stage: 'ai', reason: 'AI unavailable' };
+
+        const confidence = Math.round((response.confidence || 0) * 100);
+        const label = response.label === goal ? 'your goal' : `"${response.label}"`;
+        return { ...details, shouldShow: response.shouldShow, stage: 'ai', reason: `AI: ${label} ${confidence}%` };
+    }
+
+    /**
+     * Runs a video through rules, corrections, blacklist, goal keywords and the AI, in that order
+     * @param {{title: string, channel: ?string, handle: ?string, duration: ?number, description: ?string}} video
+     * @param {Object} context - Output of createFilterContext, with a profile
+     * @param {function(string, string): Promise<Object>} classify - Asks the AI about a text and goal
+     * @param {Function} [onAiPending] - Called before the AI is asked, which can take a while
+     * @returns {Promise<Object>} Decision fields: shouldShow, stage, reason and, from the AI, label, confidence, latencyMs
+     */
+    async function judgeVideo(video, context, classify, onAiPending) {
+        // 1. User Rules (first match wins, allow skips every later stage)
+        const rule = FocusRules.findMatchingRule(context.rules, video);
+        if (rule) return { shouldShow: rule.action === 'allow', stage: 'rule', reason: FocusRules.describeRule(rule) };
+
+        // 2. Learned Corrections
+        const focusGoal = context.profile.goal;
+        const correction = FocusSettings.findCorrection(context.corrections, video, focusGoal);
+        if (correction) {
+            const reason = correction.kind === 'title'
+                ? `You marked this title to ${correction.verdict}`
+                : `You marked this channel to always ${correction.verdict}`;
+            return { shouldShow: correction.verdict === 'show', stage: 'correction', reason };
+        }
+
+        // 3. Blacklist Check
+        const blacklisted = FocusRules.findMatchingRule(context.blacklist, video);
+        if (blacklisted) return { shouldShow: false, stage: 'blacklist', reason: `Blacklist word "${blacklisted.value}"` };
+
+        if (!focusGoal) return { shouldShow: true, stage: 'goal', reason: 'No focus goal set' };
+
+        // === LEVEL 1: SMART KEYWORD MATCHING ===
+        const userKeywords = FocusExtract.getDynamicKeywords(focusGoal);
+        const lowerTitle = video.title.toLowerCase();
+
+        // If title matches extracted keywords -> INSTANT SHOW
+        const keyword = userKeywords.find(word => lowerTitle.includes(word));
+        if (keyword) return { shouldShow: true, stage: 'keyword', reason: `Goal keyword "${keyword}"` };
+
+        // === LEVEL 2: AI JUDGMENT ===
+        // The watch page adds channel and description, which say more than a title alone
+        if (onAiPending) onAiPending();
+        const text = 'description' in video ? [video.title, video.channel, video.description].filter(Boolean).join('\n') : video.title;
+        const response = await classify(text, focusGoal);
+
+        // A timed out AI is fail-safe: the video stays visible
+        return describeClassification(response, focusGoal);
+    }
+
+    return {
+        createFilterContext,
+        describeClassification,
+        judgeVideo
+    };
+});
@@ -26,103 +26,538 @@ function sanitizeInput(input) {
         .trim();
 }
 
+/**
+ * Reads the per-surface switches from the popup
+ * @returns {Object<string, boolean>} Map of surface name to enabled state
+ */
+function readSurfaceToggles() {
+    const enabledSurfaces = {};
+    document.querySelectorAll('input[data-surface]').forEach((checkbox) => {
+        enabledSurfaces[checkbox.dataset.surface] = checkbox.checked;
+    });
+    return enabledSurfaces;
+}
+
 // ============================================================================
-// STORAGE OPERATIONS
+// DISTRACTION CATEGORIES & STRICTNESS
 // ============================================================================
 
+// Categories currently shown in the popup (saved with Save & Apply)
+let distractionLabels = FocusSettings.DEFAULT_DISTRACTION_LABELS.slice();
+
 /**
- * Saves focus goal to Chrome storage with error handling
- * Handles cases where extension context might be invalidated
+ * Renders the category chips, each with a remove button
  */
-function saveFocusGoal() {
-    const textareaElement = document.getElementById('focusGoal');
-    const statusElement = document.getElementById('status');
-    
-    if (!textareaElement) {
-        console.error('Focus goal textarea element not found');
+function renderCategories() {
+    const listElement = document.getElementById('categoryList');
+    if (!listElement) return;
+
+    listElement.textContent = '';
+    distractionLabels.forEach((label) => {
+        const chip = document.createElement('span');
+        chip.className = 'chip';
+        chip.textContent = label;
+
+        const removeButton = document.createElement('button');
+        removeButton.className = 'chip-remove';
+        removeButton.title = `Remove "${label}"`;
+        removeButton.textContent = '×';
+        removeButton.addEventListener('click', () => {
+            // At least one category is needed for the classifier to compare against
+            if (distractionLabels.length <= 1) return;
+            distractionLabels = distractionLabels.filter(item => item !== label);
+            renderCategories();
+        });
+
+        chip.appendChild(removeButton);
+        listElement.appendChild(chip);
+    });
+}
+
+/**
+ * Adds the category typed into the input field
+ */
+function addCategory() {
+    const inputElement = document.getElementById('categoryInput');
+    if (!inputElement) return;
+
+    const label = sanitizeInput(inputElement.value);
+    if (label) {
+        distractionLabels = FocusSettings.normalizeLabels([...distractionLabels, label]);
+        renderCategories();
+    }
+    inputElement.value = '';
+}
+
+/**
+ * Shows the slider that belongs to the selected strictness mode and refreshes its label
+ */
+function updateStrictnessControls() {
+    const mode = document.getElementById('strictnessMode').value;
+    document.querySelectorAll('.range-row').forEach((row) => {
+        row.classList.toggle('visible', row.dataset.mode === mode);
+    });
+    document.getElementById('thresholdValue').textContent = document.getElementById('strictnessThreshold').value;
+    document.getElementById('marginValue').textContent = document.getElementById('strictnessMargin').value;
+}
+
+/**
+ * Reads the strictness controls
+ * @returns {{mode: string, threshold: number, margin: number}} Normalized strictness settings
+ */
+function readStrictness() {
+    return FocusSettings.normalizeStrictness({
+        mode: document.getElementById('strictnessMode').value,
+        threshold: document.getElementById('strictnessThreshold').value / 100,
+        margin: document.getElementById('strictnessMargin').value / 100
+    });
+}
+
+/**
+ * Puts stored strictness settings into the controls
+ * @param {Object} strictness - Stored strictness settings
+ */
+function fillStrictness(strictness) {
+    const value = FocusSettings.normalizeStrictness(strictness);
+    document.getElementById('strictnessMode').value = value.mode;
+    document.getElementById('strictnessThreshold').value = Math.round(value.threshold * 100);
+    document.getElementById('strictnessMargin').value = Math.round(value.margin * 100);
+    updateStrictnessControls();
+}
+
+// ============================================================================
+// PROFILES
+// ============================================================================
+
+const DAY_NAMES = ['S', 'M', 'T', 'W', 'T', 'F', 'S'];
+// Select values for the override dropdown that are not profile ids
+const OVERRIDE_SCHEDULE = '';
+const OVERRIDE_OFF = '__off__';
+
+// Working copy of all profiles (saved with Save & Apply)
+let profiles = [];
+let editingProfileId = null;
+
+/**
+ * Renders one activation window row: day checkboxes, start and end time, remove button
+ * @param {{days: Array<number>, start: string, end: string}} slot - Activation window
+ */
+function addScheduleRow(slot) {
+    const listElement = document.getElementById('scheduleList');
+    const row = document.createElement('div');
+    row.className = 'schedule-row';
+
+    FocusSettings.ALL_DAYS.forEach((day) => {
+        const label = document.createElement('label');
+        label.className = 'day-toggle';
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.dataset.day = day;
+        checkbox.checked = slot.days.includes(day);
+        label.append(checkbox, DAY_NAMES[day]);
+        row.appendChild(label);
+    });
+
+    ['start', 'end'].forEach((field) => {
+        const input = document.createElement('input');
+        input.type = 'time';
+        input.className = 'text-input';
+        input.dataset.field = field;
+        // <input type="time"> has no 24:00, midnight is written as 00:00 instead
+        input.value = slot[field] === '24:00' ? '00:00' : slot[field];
+        row.appendChild(input);
+    });
+
+    const removeButton = document.createElement('button');
+    removeButton.className = 'chip-remove';
+    removeButton.title = 'Remove time window';
+    removeButton.textContent = '×';
+    removeButton.addEventListener('click', () => row.remove());
+    row.appendChild(removeButton);
+
+    listElement.appendChild(row);
+}
+
+/**
+ * Reads the activation windows back from the schedule rows
+ * @returns {Array<Object>} Normalized schedule
+ */
+function readScheduleRows() {
+    const schedule = [];
+    document.querySelectorAll('.schedule-row').forEach((row) => {
+        schedule.push({
+            days: Array.from(row.querySelectorAll('input[data-day]:checked')).map(box => Number(box.dataset.day)),
+            start: row.querySelector('input[data-field="start"]').value,
+            end: row.querySelector('input[data-field="end"]').value
+        });
+    });
+    return FocusSettings.normalizeSchedule(schedule);
+}
+
+/**
+ * Copies the editor fields into the profile being edited
+ */
+function commitProfileForm() {
+    const profile = profiles.find(item => item.id === editingProfileId);
+    if (!profile) return;
+
+    profile.name = sanitizeInput(document.getElementById('profileName').value) || profile.name;
+    profile.goal = sanitizeInput(document.getElementById('focusGoal').value);
+    profile.blacklist = document.getElementById('profileBlacklist').value
+        .split(',')
+        .map(word => sanitizeInput(word))
+        .filter(Boolean);
+    profile.strictness = readStrictness();
+    profile.schedule = readScheduleRows();
+}
+
+/**
+ * Fills the editor fields from a profile
+ * @param {Object} profile - Normalized profile
+ */
+function fillProfileForm(profile) {
+    editingProfileId = profile.id;
+    document.getElementById('profileName').value = profile.name;
+    document.getElementById('focusGoal').value = profile.goal;
+    document.getElementById('profileBlacklist').value = profile.blacklist.join(', ');
+    fillStrictness(profile.strictness);
+
+    document.getElementById('scheduleList').textContent = '';
+    profile.schedule.forEach(addScheduleRow);
+}
+
+/**
+ * Rebuilds both profile dropdowns from the working copy
+ * @param {Object|null} override - Stored `profileOverride`
+ */
+function renderProfileSelects(override) {
+    const profileSelect = document.getElementById('profileSelect');
+    const overrideSelect = document.getElementById('profileOverride');
+    const currentOverride = override === undefined ? overrideSelect.value : overrideValue(override);
+
+    profileSelect.textContent = '';
+    overrideSelect.textContent = '';
+    overrideSelect.appendChild(new Option('Follow schedule', OVERRIDE_SCHEDULE));
+
+    profiles.forEach((profile) => {
+        profileSelect.appendChild(new Option(profile.name, profile.id));
+        overrideSelect.appendChild(new Option(`Use "${profile.name}" now`, profile.id));
+    });
+    overrideSelect.appendChild(new Option('Turn filtering off', OVERRIDE_OFF));
+
+    profileSelect.value = editingProfileId;
+    overrideSelect.value = Array.from(overrideSelect.options).some(option => option.value === currentOverride)
+        ? currentOverride
+        : OVERRIDE_SCHEDULE;
+}
+
+/**
+ * Maps a stored override to its dropdown value
+ * @param {Object|null} override - Stored `profileOverride`
+ * @returns {string}
+ */
+function overrideValue(override) {
+    if (!override) return OVERRIDE_SCHEDULE;
+    return override.profileId === null ? OVERRIDE_OFF : override.profileId;
+}
+
+/**
+ * Shows which profile the background worker has activated and why
+ * @param {string|null} activeProfileId - Stored `activeProfileId`
+ * @param {Object|null} override - Stored `profileOverride`
+ */
+function renderActiveProfile(activeProfileId, override) {
+    const nameElement = document.getElementById('activeProfileName');
+    const profile = profiles.find(item => item.id === activeProfileId);
+    const source = override ? 'manual override' : 'scheduled';
+
+    nameElement.textContent = profile ? `${profile.name} (${source})` : `Filtering off (${source})`;
+    nameElement.classList.toggle('off', !profile);
+}
+
+/**
+ * Switches the editor to another profile, keeping unsaved edits of the current one
+ */
+function switchProfile() {
+    commitProfileForm();
+    const profile = profiles.find(item => item.id === document.getElementById('profileSelect').value);
+    if (profile) fillProfileForm(profile);
+}
+
+/**
+ * Adds an empty profile and opens it in the editor
+ */
+function createProfile() {
+    commitProfileForm();
+    const profile = FocusSettings.normalizeProfile({ name: `Profile ${profiles.length + 1}` });
+    profiles.push(profile);
+    fillProfileForm(profile);
+    renderProfileSelects();
+}
+
+/**
+ * Removes the profile being edited (the last profile cannot be removed)
+ */
+function deleteProfile() {
+    if (profiles.length <= 1) {
+        showStatus('At least one profile is needed.', true);
         return;
     }
-    
-    const rawInput = textareaElement.value;
-    const sanitizedGoal = sanitizeInput(rawInput);
-    
-    // Validate that user has entered a goal
-    if (!sanitizedGoal || sanitizedGoal.length === 0) {
-        statusElement.textContent = 'Please enter your focus goal.';
-        statusElement.className = 'status error';
-        statusElement.style.display = 'block';
-        setTimeout(() => {
-            statusElement.style.display = 'none';
-        }, 3000);
+    profiles = profiles.filter(item => item.id !== editingProfileId);
+    fillProfileForm(profiles[0]);
+    renderProfileSelects();
+}
+
+/**
+ * Applies the manual override right away, without waiting for Save & Apply
+ */
+function saveOverride() {
+    const value = document.getElementById('profileOverride').value;
+
+    try {
+        if (value === OVERRIDE_SCHEDULE) {
+            chrome.storage.local.remove('profileOverride');
+        } else {
+            chrome.storage.local.set({ profileOverride: { profileId: value === OVERRIDE_OFF ? null : value } });
+        }
+    } catch (error) {
+        console.error('Storage API error:', error);
+        showStatus('Error: Extension context invalidated. Please reload the extension.', true);
+    }
+}
+
+// ============================================================================
+// WATCH GUARD
+// ============================================================================
+
+// Last saved guard settings, so fields the popup does not show survive a save
+let watchGuard = FocusSettings.normalizeWatchGuard(null);
+
+/**
+ * Fills the watch guard controls
+ * @param {Object} stored - Stored `watchGuard`
+ */
+function fillWatchGuard(stored) {
+    const guard = FocusSettings.normalizeWatchGuard(stored);
+    watchGuard = guard;
+    document.getElementById('watchGuardEnabled').checked = guard.enabled;
+    document.getElementById('watchGuardGate').value = guard.gate;
+    document.getElementById('watchGuardCountdown').value = guard.countdownSeconds;
+    document.getElementById('watchGuardMinutes').value = guard.dailyOverrideMinutes;
+    updateWatchGuardControls();
+}
+
+/**
+ * Shows the countdown length only for the countdown gate
+ */
+function updateWatchGuardControls() {
+    const isCountdown = document.getElementById('watchGuardGate').value === 'countdown';
+    document.getElementById('watchGuardCountdown').parentElement.style.display = isCountdown ? '' : 'none';
+}
+
+/**
+ * Reads the watch guard controls
+ * @returns {Object}
+ */
+function readWatchGuard() {
+    return FocusSettings.normalizeWatchGuard({
+        ...watchGuard,
+        enabled: document.getElementById('watchGuardEnabled').checked,
+        gate: document.getElementById('watchGuardGate').value,
+        countdownSeconds: document.getElementById('watchGuardCountdown').value,
+        dailyOverrideMinutes: document.getElementById('watchGuardMinutes').value
+    });
+}
+
+// ============================================================================
+// MODELS
+// ============================================================================
+
+/**
+ * Fills a model dropdown from the supported list
+ * @param {string} kind - 'classifier' or 'embedding'
+ * @param {string} selected - Stored model id
+ */
+function renderModelSelect(kind, selected) {
+    const select = document.getElementById(`${kind}Model`);
+    select.textContent = '';
+    FocusSettings.SUPPORTED_MODELS[kind].forEach((model) => {
+        select.appendChild(new Option(model.name, model.id));
+    });
+    select.value = FocusSettings.normalizeModelId(kind, selected);
+}
+
+/**
+ * Shows the classifier's load state in the indicator
+ * @param {Object} state - Model state from the background worker
+ */
+function renderModelStatus(state) {
+    const indicator = document.getElementById('modelIndicator');
+    const text = document.getElementById('modelStatusText');
+    const classifier = state && state.classifier;
+    text.title = '';
+
+    if (!classifier || classifier.status === 'idle') {
+        indicator.className = 'system-indicator loading';
+        text.textContent = 'Model starting…';
+    } else if (classifier.status === 'loading') {
+        indicator.className = 'system-indicator loading';
+        text.textContent = `Loading model ${Math.round(classifier.progress * 100)}%`;
+    } else if (classifier.status === 'error') {
+        indicator.className = 'system-indicator error';
+        text.textContent = 'Model failed to load (run npm run models)';
+        text.title = classifier.error || '';
+    } else if (classifier.fallbackFrom) {
+        indicator.className = 'system-indicator';
+        text.textContent = 'Default model ready (chosen model missing)';
+        text.title = `${classifier.fallbackFrom} is not packaged (npm run models -- --all), using ${classifier.model}`;
+    } else {
+        indicator.className = 'system-indicator';
+        text.textContent = 'Model ready';
+        text.title = classifier.model;
+    }
+}
+
+/**
+ * Asks the background worker for the model state and follows its updates
+ */
+function watchModelStatus() {
+    try {
+        chrome.runtime.sendMessage({ type: 'getModelStatus' }, (response) => {
+            if (chrome.runtime.lastError || !response) {
+                renderModelStatus(null);
+                return;
+            }
+            renderModelStatus(response.state);
+        });
+        chrome.runtime.onMessage.addListener((message) => {
+            if (message && message.type === 'modelStatus') renderModelStatus(message.state);
+        });
+    } catch (error) {
+        console.error('Extension API error:', error);
+    }
+}
+
+// ============================================================================
+// STORAGE OPERATIONS
+// ============================================================================
+
+/**
+ * Shows a status message below the save button
+ * @param {string} message - Text to show
+ * @param {boolean} isError - Whether to use the error style
+ * @param {boolean} persist - Keep the message instead of hiding it after 3 seconds
+ */
+function showStatus(message, isError, persist) {
+    const statusElement = document.getElementById('status');
+    statusElement.textContent = message;
+    statusElement.className = isError ? 'status error' : 'status';
+    statusElement.style.display = 'block';
+    if (persist) return;
+    setTimeout(() => {
+        statusElement.style.display = 'none';
+    }, 3000);
+}
+
+/**
+ * Saves profiles, surface switches, reveal mode, categories, models and the watch guard to Chrome storage with error handling
+ * Handles cases where extension context might be invalidated
+ */
+function saveSettings() {
+    commitProfileForm();
+
+    // Validate that every profile has a goal
+    const missingGoal = profiles.find(profile => !profile.goal);
+    if (missingGoal) {
+        showStatus(`Please enter a focus goal for "${missingGoal.name}".`, true);
         return;
     }
-    
+
     // Error handling: Extension context might be invalidated
     try {
-        chrome.storage.local.set({ focusGoal: sanitizedGoal }, () => {
+        const settings = {
+            profiles: profiles,
+            enabledSurfaces: readSurfaceToggles(),
+            revealMode: document.getElementById('revealMode').checked,
+            distractionLabels: distractionLabels,
+            classifierModel: document.getElementById('classifierModel').value,
+            embeddingModel: document.getElementById('embeddingModel').value,
+            watchGuard: readWatchGuard()
+        };
+        chrome.storage.local.set(settings, () => {
             // Check for runtime errors
             if (chrome.runtime.lastError) {
                 console.error('Storage error:', chrome.runtime.lastError);
-                statusElement.textContent = 'Error saving settings. Please try again.';
-                statusElement.className = 'status error';
-                statusElement.style.display = 'block';
-                setTimeout(() => {
-                    statusElement.style.display = 'none';
-                }, 3000);
+                showStatus('Error saving settings. Please try again.', true);
                 return;
             }
-            
+
             // Success feedback
-            statusElement.textContent = 'Settings saved! Reload YouTube to see changes.';
-            statusElement.className = 'status';
-            statusElement.style.display = 'block';
-            setTimeout(() => {
-                statusElement.style.display = 'none';
-            }, 3000);
+            renderProfileSelects();
+            showStatus('Settings saved! Open YouTube tabs update instantly.', false);
         });
     } catch (error) {
         // Handle cases where chrome.storage API is unavailable
         console.error('Storage API error:', error);
-        statusElement.textContent = 'Error: Extension context invalidated. Please reload the extension.';
-        statusElement.className = 'status error';
-        statusElement.style.display = 'block';
+        showStatus('Error: Extension context invalidated. Please reload the extension.', true, true);
     }
 }
 
 /**
- * Loads saved focus goal from Chrome storage
+ * Loads profiles, surface switches, reveal mode, categories, models and the watch guard from Chrome storage
  * Handles errors gracefully
  */
-function loadFocusGoal() {
-    const textareaElement = document.getElementById('focusGoal');
-    
-    if (!textareaElement) {
-        console.error('Focus goal textarea element not found');
-        return;
-    }
-    
+function loadSettings() {
+    const keys = ['profiles', 'activeProfileId', 'profileOverride', 'focusGoal', 'strictness', 'enabledSurfaces', 'revealMode', 'distractionLabels', 'classifierModel', 'embeddingModel', 'watchGuard'];
+
     // Error handling: Extension context might be invalidated
     try {
-        chrome.storage.local.get(['focusGoal'], (result) => {
+        chrome.storage.local.get(keys, (result) => {
             // Check for runtime errors
             if (chrome.runtime.lastError) {
                 console.error('Storage retrieval error:', chrome.runtime.lastError);
-                // Don't show error to user, just use default empty textarea
+                // Don't show error to user, the editor keeps its defaults
                 return;
             }
-            
-            // Populate textarea with saved goal
-            if (result.focusGoal && typeof result.focusGoal === 'string') {
-                textareaElement.value = result.focusGoal;
-            }
+
+            profiles = FocusSettings.getProfiles(result);
+            const activeProfile = FocusSettings.getActiveProfile(result);
+            fillProfileForm(activeProfile || profiles[0]);
+            renderProfileSelects(result.profileOverride || null);
+            renderActiveProfile(activeProfile ? activeProfile.id : null, result.profileOverride || null);
+
+            // Surfaces stay checked unless explicitly switched off
+            const enabledSurfaces = result.enabledSurfaces || {};
+            document.querySelectorAll('input[data-surface]').forEach((checkbox) => {
+                checkbox.checked = enabledSurfaces[checkbox.dataset.surface] !== false;
+            });
+            document.getElementById('revealMode').checked = result.revealMode === true;
+
+            distractionLabels = FocusSettings.normalizeLabels(result.distractionLabels);
+            renderCategories();
+            renderModelSelect('classifier', result.classifierModel);
+            renderModelSelect('embedding', result.embeddingModel);
+            fillWatchGuard(result.watchGuard);
         });
     } catch (error) {
         // Handle cases where chrome.storage API is unavailable
         console.error('Storage API error:', error);
-        // Silently fail - user can still enter new goal
+        // Silently fail - user can still edit the default profile
     }
 }
 
+/**
+ * Keeps the active profile line current while the popup is open
+ */
+function watchActiveProfile() {
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName !== 'local' || !(changes.activeProfileId || changes.profileOverride)) return;
+        chrome.storage.local.get(['activeProfileId', 'profileOverride'], (result) => {
+            renderActiveProfile(result.activeProfileId, result.profileOverride || null);
+        });
+    });
+}
+
 // ============================================================================
 // EVENT LISTENERS
 // ============================================================================
@@ -134,20 +569,57 @@ document.addEventListener('DOMContentLoaded', () => {
     const saveButton = document.getElementById('saveBtn');
     
     if (saveButton) {
-        saveButton.addEventListener('click', saveFocusGoal);
+        saveButton.addEventListener('click', saveSettings);
     } else {
         console.error('Save button element not found');
     }
+
+    document.getElementById('optionsBtn').addEventListener('click', () => chrome.runtime.openOptionsPage());
+    document.getElementById('dashboardBtn').addEventListener('click', () => {
+        chrome.tabs.create({ url: chrome.runtime.getURL('dashboard.html') });
+    });
+    document.getElementById('profileSelect').addEventListener('change', switchProfile);
+    document.getElementById('profileOverride').addEventListener('change', saveOverride);
+    document.getElementById('newProfileBtn').addEventListener('click', createProfile);
+    document.getElementById('deleteProfileBtn').addEventListener('click', deleteProfile);
+    document.getElementById('addWindowBtn').addEventListener('click', () => {
+        addScheduleRow({ days: [1, 2, 3, 4, 5], start: '09:00', end: '17:00' });
+    });
     
+    const addCategoryButton = document.getElementById('addCategoryBtn');
+    const categoryInput = document.getElementById('categoryInput');
+    if (addCategoryButton && categoryInput) {
+        addCategoryButton.addEventListener('click', addCategory);
+        categoryInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') addCategory();
+        });
+    }
+
+    document.getElementById('watchGuardGate').addEventListener('change', updateWatchGuardControls);
+
+    ['strictnessMode', 'strictnessThreshold', 'strictnessMargin'].forEach((id) => {
+        const element = document.getElementById(id);
+        if (element) element.addEventListener('input', updateStrictnessControls);
+    });
+
+    // Show defaults until stored settings arrive
+    renderCategories();
+    fillStrictness(null);
+    renderModelSelect('classifier', null);
+    renderModelSelect('embedding', null);
+    fillWatchGuard(null);
+
     // Load saved settings when popup opens
-    loadFocusGoal();
+    loadSettings();
+    watchActiveProfile();
+    watchModelStatus();
     
     // Allow saving with Ctrl+Enter or Cmd+Enter
     const goalTextarea = document.getElementById('focusGoal');
     if (goalTextarea) {
         goalTextarea.addEventListener('keydown', (e) => {
             if ((e.ctrlKey || e.metaKey) && e.key === 'Enter') {
-                saveFocusGoal();
+                saveSettings();
             }
         });
     }
@@ -0,0 +1,242 @@
+/**
+ * Allow/Block Rule Engine
+ *
+ * User rules match on title keywords, whole words, regular expressions,
+ * channel name/handle or video duration. Rules run top to bottom and the
+ * first match decides, before the blacklist, keyword and AI stages.
+ * Loaded as a plain script by the content script and extension pages.
+ */
+(function (root, factory) {
+    const api = factory();
+    if (typeof module === 'object' && module.exports) module.exports = api;
+    else root.FocusRules = api;
+})(typeof self !== 'undefined' ? self : this, () => {
+
+    // ============================================================================
+    // RULE SCHEMA
+    // ============================================================================
+
+    const ACTIONS = ['allow', 'block'];
+
+    // Which match types make sense for each field
+    const MATCH_TYPES = {
+        title: ['keyword', 'word', 'regex'],
+        channel: ['exact', 'keyword', 'regex'],
+        duration: ['shorter', 'longer']
+    };
+
+    const MATCH_DESCRIPTIONS = {
+        keyword: 'contains',
+        word: 'contains the word',
+        regex: 'matches',
+        exact: 'is',
+        shorter: 'is shorter than (minutes)',
+        longer: 'is longer than (minutes)'
+    };
+
+    // Regex rules run on every title, so they stay short
+    const MAX_REGEX_LENGTH = 100;
+    const REPEATS = ['*', '+', '{'];
+
+    function escapeRegExp(text) {
+        return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+
+    /**
+     * Builds a case-insensitive whole-word pattern. Letters and digits count as
+     * word characters, so entries like "Mix -" still match at their edges.
+     * @param {string} word
+     * @returns {RegExp}
+     */
+    function wordPattern(word) {
+        return new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegExp(word)}($|[^\\p{L}\\p{N}])`, 'iu');
+    }
+
+    /**
+     * Finds a repeated group that itself repeats something, like `(a+)+` or
+     * `(\\w+\\s?)*`. Such patterns can backtrack for seconds on one title.
+     * @param {string} pattern
+     * @returns {boolean}
+     */
+    function hasNestedQuantifier(pattern) {
+        // For each open group, whether it repeats something inside
+        const groups = [];
+        let inClass = false;
+        for (let i = 0; i < pattern.length; i++) {
+            const char = pattern[i];
+            if (char === '\\') {
+                i++;
+            } else if (inClass) {
+                if (char === ']') inClass = false;
+            } else if (char === '[') {
+                inClass = true;
+            } else if (char === '(') {
+                groups.push(false);
+            } else if (char === ')') {
+                const repeatsInside = groups.pop();
+                const repeated = REPEATS.includes(pattern[i + 1]);
+                if (repeatsInside && repeated) return true;
+                if ((repeatsInside || repeated) && groups.length) groups[groups.length - 1] = true;
+            } else if (REPEATS.includes(char) && groups.length) {
+                groups[groups.length - 1] = true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Checks a rule for problems the user should fix before saving
+     * @param {Object} rule
+     * @returns {string|null} Error message, or null when the rule is usable
+     */
+    function validateRule(rule) {
+        if (!rule || !ACTIONS.includes(rule.action)) return 'Choose allow or block.';
+        if (!MATCH_TYPES[rule.field]) return 'Choose title, channel or duration.';
+        if (!MATCH_TYPES[rule.field].includes(rule.match)) return `"${rule.match}" does not work on ${rule.field}.`;
+
+        const value = typeof rule.value === 'string' ? rule.value.trim() : '';
+        if (!value) return 'Enter a value to match.';
+        if (rule.field === 'duration' && !(Number(value) > 0)) return 'Duration must be a number of minutes.';
+        if (rule.match === 'regex') {
+            try {
+                new RegExp(value, 'iu');
+            } catch (err) {
+                return err.message;
+            }
+            if (value.length > MAX_REGEX_LENGTH) return `Keep regular expressions to ${MAX_REGEX_LENGTH} characters or fewer.`;
+            if (hasNestedQuantifier(value)) return 'Nested repeats like (a+)+ can freeze YouTube. Repeat only the innermost part.';
+        }
+        return null;
+    }
+
+    /**
+     * Fills in defaults and drops rules that cannot be used
+     * @param {Array<Object>} rules - Stored `rules`
+     * @returns {Array<Object>}
+     */
+    function normalizeRules(rules) {
+        if (!Array.isArray(rules)) return [];
+        return rules
+            .filter(rule => validateRule(rule) === null)
+            .map(rule => ({
+                id: typeof rule.id === 'string' && rule.id ? rule.id : `rule-${Math.random().toString(36).slice(2, 10)}`,
+                action: rule.action,
+                field: rule.field,
+                match: rule.match,
+                value: rule.value.trim(),
+                enabled: rule.enabled !== false
+            }));
+    }
+
+    // ============================================================================
+    // MATCHING
+    // ============================================================================
+
+    /**
+     * Parses YouTube's duration overlay text ("12:34", "1:02:03")
+     * @param {string} text
+     * @returns {number|null} Seconds, or null when the text is not a duration
+     */
+    function parseDuration(text) {
+        if (!text) return null;
+        const match = text.trim().match(/^(\d+):(\d{2})(?::(\d{2}))?$/);
+        if (!match) return null;
+        const parts = match.slice(1).filter(part => part !== undefined).map(Number);
+        return parts.reduce((total, part) => total * 60 + part, 0);
+    }
+
+    /**
+     * Turns a rule into a predicate over a video
+     * @param {Object} rule - Normalized rule
+     * @returns {function({title: string, channel: ?string, handle: ?string, duration: ?number}): boolean}
+     */
+    function compileMatcher(rule) {
+        const value = rule.value;
+        const lowerValue = value.toLowerCase();
+
+        if (rule.field === 'duration') {
+            const limit = Number(value) * 60;
+            return video => typeof video.duration === 'number' &&
+                (rule.match === 'shorter' ? video.duration < limit : video.duration > limit);
+        }
+
+        let test;
+        if (rule.match === 'regex') {
+            const pattern = new RegExp(value, 'iu');
+            test = text => pattern.test(text);
+        } else if (rule.match === 'word') {
+            const pattern = wordPattern(value);
+            test = text => pattern.test(text);
+        } else if (rule.match === 'exact') {
+            // "@handle" and "handle" both match the channel handle
+            const target = lowerValue.replace(/^@/, '');
+            test = text => text.toLowerCase().replace(/^@/, '') === target;
+        } else {
+            test = text => text.toLowerCase().includes(lowerValue);
+        }
+
+        if (rule.field === 'channel') {
+            return video => [video.channel, video.handle].some(text => text && test(text));
+        }
+        return video => !!video.title && test(video.title);
+    }
+
+    /**
+     * Prepares rules for repeated matching
+     * @param {Array<Object>} rules - Stored `rules`
+     * @returns {Array<{rule: Object, test: Function}>} Enabled rules in priority order
+     */
+    function compileRules(rules) {
+        return normalizeRules(rules)
+            .filter(rule => rule.enabled)
+            .map(rule => ({ rule, test: compileMatcher(rule) }));
+    }
+
+    /**
+     * Finds the first rule that matches a video
+     * @param {Array<{rule: Object, test: Function}>} compiled - Output of compileRules
+     * @param {{title: string, channel: ?string, handle: ?string, duration: ?number}} video
+     * @returns {Object|null} The deciding rule
+     */
+    function findMatchingRule(compiled, video) {
+        const match = compiled.find(entry => entry.test(video));
+        return match ? match.rule : null;
+    }
+
+    /**
+     * Expresses a profile blacklist as whole-word block rules on the title
+     * @param {Array<string>} words
+     * @returns {Array<Object>}
+     */
+    function blacklistToRules(words) {
+        return (words || []).map((word, i) => ({
+            id: `blacklist-${i}`,
+            action: 'block',
+            field: 'title',
+            match: 'word',
+            value: word
+        }));
+    }
+
+    /**
+     * Human-readable summary of a rule, e.g. `Block: title contains the word "gameplay"`
+     * @param {Object} rule
+     * @returns {string}
+     */
+    function describeRule(rule) {
+        const action = rule.action === 'allow' ? 'Allow' : 'Block';
+        return `${action}: ${rule.field} ${MATCH_DESCRIPTIONS[rule.match] || rule.match} "${rule.value}"`;
+    }
+
+    return {
+        ACTIONS,
+        MATCH_TYPES,
+        blacklistToRules,
+        compileRules,
+        describeRule,
+        findMatchingRule,
+        normalizeRules,
+        parseDuration,
+        validateRule
+    };
+});
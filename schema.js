@@ -0,0 +1,250 @@
+/**
+ * Settings Schema - Versions, Migrations & Settings Files
+ *
+ * Describes which storage keys make up the user's configuration, upgrades
+ * older layouts step by step and reads/writes the JSON settings file used for
+ * import, export and chrome.storage.sync. Device state (active profile,
+ * override, spent override time) and learned corrections stay local.
+ * Loaded as a plain script after settings.js and rules.js.
+ */
+(function (root, factory) {
+    const isModule = typeof module === 'object' && module.exports;
+    const api = isModule
+        ? factory(require('./settings.js'), require('./rules.js'))
+        : factory(root.FocusSettings, root.FocusRules);
+    if (isModule) module.exports = api;
+    else root.FocusSchema = api;
+})(typeof self !== 'undefined' ? self : this, (FocusSettings, FocusRules) => {
+
+    // ============================================================================
+    // SCHEMA
+    // ============================================================================
+
+    // Stored as `settingsVersion`; installs without it predate versioning (version 0)
+    const SCHEMA_VERSION = 1;
+
+    const FILE_FORMAT = 'youtube-focus-settings';
+
+    // Keys that are configuration rather than device state, each with its cleaner
+    const SETTING_CLEANERS = {
+        profiles: value => (Array.isArray(value) && value.length ? value.map((profile, i) => FocusSettings.normalizeProfile(profile, i)) : undefined),
+        rules: value => FocusRules.normalizeRules(value),
+        distractionLabels: value => FocusSettings.normalizeLabels(value),
+        enabledSurfaces: (value) => {
+            if (!value || typeof value !== 'object') return undefined;
+            const surfaces = {};
+            Object.keys(value).forEach((name) => {
+                if (typeof value[name] === 'boolean') surfaces[name] = value[name];
+            });
+            return surfaces;
+        },
+        revealMode: value => value === true,
+        watchGuard: value => FocusSettings.normalizeWatchGuard(value),
+        classifierModel: value => FocusSettings.normalizeModelId('classifier', value),
+        embeddingModel: value => FocusSettings.normalizeModelId('embedding', value)
+    };
+
+    const SETTINGS_KEYS = Object.keys(SETTING_CLEANERS);
+
+    // Keys that only exist in version 0 settings
+    const LEGACY_KEYS = ['focusGoal', 'strictness'];
+
+    /**
+     * Each step upgrades settings from `version - 1` to `version`. Steps get a
+     * copy of the settings and return the upgraded object.
+     */
+    const MIGRATIONS = [
+        {
+            version: 1,
+            // Before profiles there was a bare `focusGoal` (and later `strictness`): it becomes the Default profile
+            migrate(settings) {
+                const { focusGoal, strictness, ...rest } = settings;
+                const hasLegacyKeys = focusGoal !== undefined || strictness !== undefined;
+                if (hasLegacyKeys && !Array.isArray(rest.profiles)) rest.profiles = FocusSettings.getProfiles({ focusGoal, strictness });
+                return rest;
+            }
+        }
+    ];
+
+    // ============================================================================
+    // MIGRATION
+    // ============================================================================
+
+    /**
+     * Upgrades settings to the current schema version
+     * @param {Object} settings - Raw settings (storage contents or a settings file's `settings`)
+     * @param {number} version - Version the settings were written with
+     * @returns {Object} Upgraded copy
+     * @throws {Error} When the settings come from a newer version of the extension
+     */
+    function migrateSettings(settings, version) {
+        const from = Number.isInteger(version) && version > 0 ? version : 0;
+        if (from > SCHEMA_VERSION) {
+            throw new Error(`These settings were written by a newer version of YouTube Focus (schema ${from}). Update the extension first.`);
+        }
+        return MIGRATIONS
+            .filter(step => step.version > from)
+            .reduce((current, step) => step.migrate(current), { ...settings });
+    }
+
+    /**
+     * Keeps only configuration keys and cleans their values
+     * @param {Object} settings - Current-version settings
+     * @returns {Object} Normalized settings; keys missing from the input stay missing
+     */
+    function normalizeSettings(settings) {
+        const normalized = {};
+        SETTINGS_KEYS.forEach((key) => {
+            if (settings[key] === undefined) return;
+            const value = SETTING_CLEANERS[key](settings[key]);
+            if (value !== undefined) normalized[key] = value;
+        });
+        return normalized;
+    }
+
+    /**
+     * Picks the configuration out of raw chrome.storage.local contents
+     * @param {Object} stored
+     * @returns {Object} Current-version, normalized settings
+     */
+    function readSettings(stored) {
+        return normalizeSettings(migrateSettings(stored, stored.settingsVersion));
+    }
+
+    // ============================================================================
+    // SETTINGS FILES
+    // ============================================================================
+
+    /**
+     * Builds the exportable settings file
+     * @param {Object} stored - Raw chrome.storage.local contents
+     * @param {Date} date - Export time
+     * @returns {{format: string, version: number, exportedAt: string, settings: Object}}
+     */
+    function createSettingsFile(stored, date) {
+        return {
+            format: FILE_FORMAT,
+            version: SCHEMA_VERSION,
+            exportedAt: date.toISOString(),
+            settings: readSettings(stored)
+        };
+    }
+
+    /**
+     * Reads a settings file. A plain object without the file wrapper is taken
+     * as raw, unversioned settings, e.g. `{"focusGoal": "learn rust"}`.
+     * @param {string} text - File contents
+     * @returns {Object} Current-version, normalized settings
+     * @throws {Error} With a message fit for the user
+     */
+    function parseSettingsFile(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (err) {
+            throw new Error(`This is not a JSON file (${err.message}).`);
+        }
+        if (!data || typeof data !== 'object' || Array.isArray(data)) throw new Error('The file does not contain settings.');
+
+        const isWrapped = data.format === FILE_FORMAT;
+        if (!isWrapped && !SETTINGS_KEYS.concat(LEGACY_KEYS).some(key => key in data)) {
+            throw new Error('The file does not contain any YouTube Focus settings.');
+        }
+        if (isWrapped && (!data.settings || typeof data.settings !== 'object')) throw new Error('The file does not contain settings.');
+        const settings = normalizeSettings(migrateSettings(isWrapped ? data.settings : data, isWrapped ? data.version : 0));
+        if (!Object.keys(settings).length) throw new Error('The file does not contain any YouTube Focus settings.');
+        return settings;
+    }
+
+    // ============================================================================
+    // SYNC ITEMS
+    // ============================================================================
+
+    // chrome.storage.sync caps each item at 8 KB. A JSON-encoded character takes at
+    // most 3 bytes, so chunks of this many characters always fit.
+    const SYNC_CHUNK_CHARS = 2500;
+    const SYNC_META_KEY = 'focusSettings';
+    const SYNC_CHUNK_PREFIX = 'focusSettings_';
+
+    function itemBytes(key, value) {
+        return new TextEncoder().encode(key + JSON.stringify(value)).length;
+    }
+
+    /**
+     * Splits settings into chrome.storage.sync items: a meta item plus text chunks
+     * @param {Object} settings - Normalized settings
+     * @param {Date} date - Time of the change
+     * @returns {{items: Object, bytes: number}} Items to store and their size as counted by the sync quota
+     */
+    function toSyncItems(settings, date) {
+        const text = JSON.stringify(settings);
+        const chunks = [];
+        for (let start = 0; start < text.length;) {
+            let end = Math.min(start + SYNC_CHUNK_CHARS, text.length);
+            // Keep surrogate pairs (emoji and the like) together in one chunk
+            const last = text.charCodeAt(end - 1);
+            if (end < text.length && last >= 0xD800 && last <= 0xDBFF) end--;
+            chunks.push(text.slice(start, end));
+            start = end;
+        }
+
+        const items = { [SYNC_META_KEY]: { version: SCHEMA_VERSION, chunks: chunks.length, updatedAt: date.getTime() } };
+        chunks.forEach((chunk, i) => {
+            items[`${SYNC_CHUNK_PREFIX}${i}`] = chunk;
+        });
+        const bytes = Object.keys(items).reduce((total, key) => total + itemBytes(key, items[key]), 0);
+        return { items, bytes };
+    }
+
+    /**
+     * Reassembles settings from chrome.storage.sync contents
+     * @param {Object} items - Everything in chrome.storage.sync
+     * @returns {Object|null} Current-version, normalized settings, or null when nothing was synced yet
+     * @throws {Error} When the items are incomplete (another device is mid-write) or from a newer version
+     */
+    function fromSyncItems(items) {
+        const meta = items[SYNC_META_KEY];
+        if (!meta) return null;
+
+        let text = '';
+        for (let i = 0; i < meta.chunks; i++) {
+            const chunk = items[`${SYNC_CHUNK_PREFIX}${i}`];
+            if (typeof chunk !== 'string') throw new Error('Synced settings are incomplete.');
+            text += chunk;
+        }
+        let settings;
+        try {
+            settings = JSON.parse(text);
+        } catch (err) {
+            throw new Error('Synced settings are incomplete.');
+        }
+        return normalizeSettings(migrateSettings(settings, meta.version));
+    }
+
+    /**
+     * Lists sync keys left over from an earlier, longer write
+     * @param {Object} items - Everything in chrome.storage.sync
+     * @param {number} chunkCount - Chunks in use now
+     * @returns {Array<string>}
+     */
+    function staleSyncKeys(items, chunkCount) {
+        return Object.keys(items).filter(key => key.startsWith(SYNC_CHUNK_PREFIX) &&
+            Number(key.slice(SYNC_CHUNK_PREFIX.length)) >= chunkCount);
+    }
+
+    return {
+        FILE_FORMAT,
+        SCHEMA_VERSION,
+        LEGACY_KEYS,
+        SETTINGS_KEYS,
+        SYNC_META_KEY,
+        createSettingsFile,
+        fromSyncItems,
+        migrateSettings,
+        normalizeSettings,
+        parseSettingsFile,
+        readSettings,
+        staleSyncKeys,
+        toSyncItems
+    };
+});
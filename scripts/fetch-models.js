@@ -0,0 +1,56 @@
+/**
+ * Fetch Models - Packages the AI models with the extension
+ *
+ * Downloads the quantized ONNX models listed in settings.js into models/
+ * and copies the ONNX runtime's WebAssembly files into wasm/, so the
+ * background worker never has to reach the network.
+ *
+ * Usage: npm run models            (default classifier and embedding model)
+ *        npm run models -- --all   (every selectable model)
+ */
+const fs = require('fs');
+const path = require('path');
+const { SUPPORTED_MODELS } = require('../settings.js');
+
+const ROOT = path.join(__dirname, '..');
+const MODEL_FILES = ['config.json', 'tokenizer.json', 'tokenizer_config.json', 'onnx/model_quantized.onnx'];
+
+async function download(url, target) {
+    if (fs.existsSync(target)) return;
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`${url}: HTTP ${response.status}`);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    // Write to a temporary name first so an interrupted download is retried next time
+    fs.writeFileSync(`${target}.part`, Buffer.from(await response.arrayBuffer()));
+    fs.renameSync(`${target}.part`, target);
+}
+
+async function fetchModel(modelId) {
+    console.log(`Fetching ${modelId}`);
+    for (const file of MODEL_FILES) {
+        await download(`https://huggingface.co/${modelId}/resolve/main/${file}`, path.join(ROOT, 'models', modelId, file));
+    }
+}
+
+function copyRuntime() {
+    const source = path.join(path.dirname(require.resolve('onnxruntime-web/package.json')), 'dist');
+    const target = path.join(ROOT, 'wasm');
+    fs.mkdirSync(target, { recursive: true });
+    fs.readdirSync(source)
+        .filter(file => file.endsWith('.wasm'))
+        .forEach(file => fs.copyFileSync(path.join(source, file), path.join(target, file)));
+}
+
+async function main() {
+    const all = process.argv.includes('--all');
+    const models = Object.values(SUPPORTED_MODELS).flatMap(list => (all ? list : list.slice(0, 1)));
+
+    for (const model of models) await fetchModel(model.id);
+    copyRuntime();
+    console.log('Models and runtime are ready; reload the extension.');
+}
+
+main().catch((err) => {
+    console.error(err.message);
+    process.exit(1);
+});
@@ -0,0 +1,401 @@
+/**
+ * Shared Settings Model
+ *
+ * Defaults, normalization and profile scheduling for the filter
+ * configuration kept in chrome.storage.local. Loaded as a plain script by
+ * extension pages and the content script, and bundled into the background worker.
+ */
+(function (root, factory) {
+    const api = factory();
+    if (typeof module === 'object' && module.exports) module.exports = api;
+    else root.FocusSettings = api;
+})(typeof self !== 'undefined' ? self : this, () => {
+
+    // ============================================================================
+    // DEFAULTS
+    // ============================================================================
+
+    const DEFAULT_DISTRACTION_LABELS = ['gaming', 'anime', 'music video', 'entertainment', 'vlog', 'comedy', 'movie'];
+
+    /**
+     * How the classifier result turns into a decision:
+     * - zero-tolerance: hide unless the goal is the top label
+     * - threshold: hide when the top label is a distraction scored at or above `threshold`
+     * - margin: hide when the best distraction beats the goal by at least `margin`
+     */
+    const STRICTNESS_MODES = ['zero-tolerance', 'threshold', 'margin'];
+
+    const DEFAULT_STRICTNESS = { mode: 'zero-tolerance', threshold: 0.5, margin: 0.1 };
+
+    const MAX_LABEL_LENGTH = 40;
+
+    // Matched as whole words, case-insensitive. 'vs' and 'Live' used to be here but hid
+    // tutorials like "Python vs Java" and "Live coding"; user rules cover them now.
+    const DEFAULT_BLACKLIST = ['Mix -', 'Music', 'Song', 'Lyrics', 'Official', 'Shorts', 'Gameplay', 'React', 'Prank', 'ASMR', 'Trailer'];
+
+    /**
+     * Models that ship with the extension (see scripts/fetch-models.js). The
+     * first entry of each list is the default.
+     */
+    const SUPPORTED_MODELS = {
+        classifier: [
+            { id: 'Xenova/mobilebert-uncased-mnli', name: 'MobileBERT MNLI (fastest)' },
+            { id: 'Xenova/distilbert-base-uncased-mnli', name: 'DistilBERT MNLI' },
+            { id: 'Xenova/nli-deberta-v3-xsmall', name: 'DeBERTa v3 xsmall NLI (most accurate)' }
+        ],
+        embedding: [
+            { id: 'Xenova/all-MiniLM-L6-v2', name: 'MiniLM L6 (fastest)' },
+            { id: 'Xenova/bge-small-en-v1.5', name: 'BGE small v1.5' }
+        ]
+    };
+
+    /**
+     * Watch-page guard: off-goal videos are paused behind an interstitial. Getting
+     * past it takes a countdown or a typed reason, and spends from a daily
+     * allowance of override minutes.
+     */
+    const WATCH_GATES = ['countdown', 'reason'];
+
+    const DEFAULT_WATCH_GUARD = { enabled: true, gate: 'countdown', countdownSeconds: 10, minReasonLength: 15, dailyOverrideMinutes: 15 };
+
+    // Days follow Date#getDay(): 0 is Sunday
+    const ALL_DAYS = [0, 1, 2, 3, 4, 5, 6];
+
+    const ALWAYS_ON_WINDOW = { days: ALL_DAYS, start: '00:00', end: '24:00' };
+
+    const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$|^24:00$/;
+
+    // ============================================================================
+    // NORMALIZATION
+    // ============================================================================
+
+    function clamp(value, min, max, fallback) {
+        const number = Number(value);
+        if (!Number.isFinite(number)) return fallback;
+        return Math.min(max, Math.max(min, number));
+    }
+
+    /**
+     * Cleans a list of distraction categories: trims, lowercases, drops duplicates
+     * @param {Array<string>} labels - Raw category list
+     * @returns {Array<string>} Usable category list (defaults when empty or invalid)
+     */
+    function normalizeLabels(labels) {
+        if (!Array.isArray(labels)) return DEFAULT_DISTRACTION_LABELS.slice();
+        const cleaned = [];
+        labels.forEach((label) => {
+            if (typeof label !== 'string') return;
+            const value = label.trim().toLowerCase().slice(0, MAX_LABEL_LENGTH);
+            if (value && !cleaned.includes(value)) cleaned.push(value);
+        });
+        return cleaned.length ? cleaned : DEFAULT_DISTRACTION_LABELS.slice();
+    }
+
+    /**
+     * Fills in missing or out-of-range strictness fields
+     * @param {Object} strictness - Stored strictness settings
+     * @returns {{mode: string, threshold: number, margin: number}}
+     */
+    function normalizeStrictness(strictness) {
+        const value = strictness && typeof strictness === 'object' ? strictness : {};
+        return {
+            mode: STRICTNESS_MODES.includes(value.mode) ? value.mode : DEFAULT_STRICTNESS.mode,
+            threshold: clamp(value.threshold, 0, 1, DEFAULT_STRICTNESS.threshold),
+            margin: clamp(value.margin, 0, 1, DEFAULT_STRICTNESS.margin)
+        };
+    }
+
+    /**
+     * Falls back to the default model when the stored one is not supported
+     * @param {string} kind - 'classifier' or 'embedding'
+     * @param {string} modelId - Stored model id
+     * @returns {string}
+     */
+    function normalizeModelId(kind, modelId) {
+        const models = SUPPORTED_MODELS[kind];
+        return models.some(model => model.id === modelId) ? modelId : models[0].id;
+    }
+
+    /**
+     * Cleans a profile's activation windows
+     * @param {Array<Object>} schedule - Raw list of {days, start, end} windows
+     * @returns {Array<{days: Array<number>, start: string, end: string}>}
+     */
+    function normalizeSchedule(schedule) {
+        if (!Array.isArray(schedule)) return [];
+        return schedule
+            .filter(slot => slot && typeof slot === 'object')
+            .map(slot => ({
+                days: ALL_DAYS.filter(day => Array.isArray(slot.days) && slot.days.includes(day)),
+                start: TIME_PATTERN.test(slot.start) ? slot.start : '00:00',
+                end: TIME_PATTERN.test(slot.end) ? slot.end : '24:00'
+            }))
+            .filter(slot => slot.days.length > 0);
+    }
+
+    /**
+     * Creates a new profile id that is unique enough for a handful of local profiles
+     * @returns {string}
+     */
+    function createProfileId() {
+        return `profile-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+    }
+
+    /**
+     * Fills in missing profile fields. A stored profile without an id gets one
+     * from its position, so it keeps the same id on every read.
+     * @param {Object} profile - Stored profile
+     * @param {number} [index] - Position in the stored list; a new id is created without it
+     * @returns {{id: string, name: string, goal: string, blacklist: Array<string>, strictness: Object, schedule: Array<Object>}}
+     */
+    function normalizeProfile(profile, index) {
+        const value = profile && typeof profile === 'object' ? profile : {};
+        const fallbackId = Number.isInteger(index) ? `profile-${index}` : createProfileId();
+        return {
+            id: typeof value.id === 'string' && value.id ? value.id : fallbackId,
+            name: typeof value.name === 'string' && value.name.trim() ? value.name.trim() : 'Untitled',
+            goal: typeof value.goal === 'string' ? value.goal.trim() : '',
+            blacklist: Array.isArray(value.blacklist)
+                ? value.blacklist.filter(word => typeof word === 'string' && word.trim()).map(word => word.trim())
+                : DEFAULT_BLACKLIST.slice(),
+            strictness: normalizeStrictness(value.strictness),
+            schedule: normalizeSchedule(value.schedule)
+        };
+    }
+
+    /**
+     * Returns the stored profiles, building a single always-on profile from the
+     * pre-profile `focusGoal` and `strictness` keys when no profiles exist yet
+     * @param {Object} stored - Raw chrome.storage.local contents
+     * @returns {Array<Object>} Normalized profiles
+     */
+    function getProfiles(stored) {
+        if (Array.isArray(stored.profiles)) return stored.profiles.map((profile, i) => normalizeProfile(profile, i));
+        return [normalizeProfile({
+            id: 'default',
+            name: 'Default',
+            goal: stored.focusGoal,
+            strictness: stored.strictness,
+            schedule: [ALWAYS_ON_WINDOW]
+        })];
+    }
+
+    /**
+     * Fills in missing or out-of-range watch guard fields
+     * @param {Object} guard - Stored `watchGuard`
+     * @returns {{enabled: boolean, gate: string, countdownSeconds: number, minReasonLength: number, dailyOverrideMinutes: number}}
+     */
+    function normalizeWatchGuard(guard) {
+        const value = guard && typeof guard === 'object' ? guard : {};
+        return {
+            enabled: value.enabled !== false,
+            gate: WATCH_GATES.includes(value.gate) ? value.gate : DEFAULT_WATCH_GUARD.gate,
+            countdownSeconds: Math.round(clamp(value.countdownSeconds, 0, 300, DEFAULT_WATCH_GUARD.countdownSeconds)),
+            minReasonLength: Math.round(clamp(value.minReasonLength, 1, 200, DEFAULT_WATCH_GUARD.minReasonLength)),
+            dailyOverrideMinutes: Math.round(clamp(value.dailyOverrideMinutes, 0, 24 * 60, DEFAULT_WATCH_GUARD.dailyOverrideMinutes))
+        };
+    }
+
+    // ============================================================================
+    // OVERRIDE ALLOWANCE
+    // ============================================================================
+
+    /**
+     * Formats a date as a local YYYY-MM-DD day
+     * @param {Date} date
+     * @returns {string}
+     */
+    function localDate(date) {
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    }
+
+    /**
+     * Override seconds left today. Usage from an earlier day counts as zero.
+     * @param {{date: string, seconds: number}} usage - Stored `overrideUsage`
+     * @param {Object} guard - Normalized watch guard settings
+     * @param {Date} date - Current time
+     * @returns {number}
+     */
+    function getOverrideSecondsLeft(usage, guard, date) {
+        const used = usage && usage.date === localDate(date) ? Number(usage.seconds) || 0 : 0;
+        return Math.max(0, guard.dailyOverrideMinutes * 60 - used);
+    }
+
+    /**
+     * Adds watched seconds to today's override usage, starting over on a new day
+     * @param {{date: string, seconds: number}} usage - Stored `overrideUsage`
+     * @param {number} seconds
+     * @param {Date} date - Current time
+     * @returns {{date: string, seconds: number}} The new `overrideUsage`
+     */
+    function addOverrideSeconds(usage, seconds, date) {
+        const today = localDate(date);
+        const used = usage && usage.date === today ? Number(usage.seconds) || 0 : 0;
+        return { date: today, seconds: used + seconds };
+    }
+
+    // ============================================================================
+    // SCHEDULING
+    // ============================================================================
+
+    function toMinutes(time) {
+        const [hours, minutes] = time.split(':').map(Number);
+        return hours * 60 + minutes;
+    }
+
+    /**
+     * Checks whether an activation window covers the given moment.
+     * An end of 00:00 means midnight at the end of the day, and windows
+     * ending before they start run overnight into the next day.
+     * @param {{days: Array<number>, start: string, end: string}} slot
+     * @param {Date} date
+     * @returns {boolean}
+     */
+    function isWindowActive(slot, date) {
+        const now = date.getHours() * 60 + date.getMinutes();
+        const start = toMinutes(slot.start);
+        const end = toMinutes(slot.end) || 24 * 60;
+        const today = date.getDay();
+
+        if (start <= end) return slot.days.includes(today) && now >= start && now < end;
+
+        // Overnight: the evening part belongs to today, the early morning part to yesterday
+        const yesterday = (today + 6) % 7;
+        return (slot.days.includes(today) && now >= start) || (slot.days.includes(yesterday) && now < end);
+    }
+
+    /**
+     * Picks the first profile whose schedule covers the given moment
+     * @param {Array<Object>} profiles - Normalized profiles, in priority order
+     * @param {Date} date
+     * @returns {Object|null} The scheduled profile, or null when filtering should be off
+     */
+    function getScheduledProfile(profiles, date) {
+        return profiles.find(profile => profile.schedule.some(slot => isWindowActive(slot, date))) || null;
+    }
+
+    /**
+     * Resolves which profile is in charge, honouring a manual override from the popup
+     * @param {Array<Object>} profiles - Normalized profiles
+     * @param {Object|null} override - Stored `profileOverride` ({profileId}; a null id turns filtering off)
+     * @param {Date} date
+     * @returns {string|null} Active profile id, or null when filtering is off
+     */
+    function resolveActiveProfileId(profiles, override, date) {
+        if (override && typeof override === 'object') {
+            if (override.profileId === null) return null;
+            if (profiles.some(profile => profile.id === override.profileId)) return override.profileId;
+        }
+        const scheduled = getScheduledProfile(profiles, date);
+        return scheduled ? scheduled.id : null;
+    }
+
+    /**
+     * Looks up the active profile from raw storage contents
+     * @param {Object} stored - Raw chrome.storage.local contents
+     * @returns {Object|null}
+     */
+    function getActiveProfile(stored) {
+        const profiles = getProfiles(stored);
+        // The background worker keeps `activeProfileId` current; resolve locally until it has run once
+        const activeId = 'activeProfileId' in stored
+            ? stored.activeProfileId
+            : resolveActiveProfileId(profiles, stored.profileOverride, new Date());
+        return profiles.find(profile => profile.id === activeId) || null;
+    }
+
+    // ============================================================================
+    // CORRECTIONS
+    // ============================================================================
+
+    const VERDICTS = ['show', 'hide'];
+
+    /**
+     * Cleans the stored `corrections`: titles the user marked for a goal, and channels they always want shown or hidden
+     * @param {Object} corrections - Stored corrections
+     * @returns {{titles: Array<Object>, channels: Array<Object>}}
+     */
+    function normalizeCorrections(corrections) {
+        const value = corrections && typeof corrections === 'object' ? corrections : {};
+        const isValid = entry => entry && typeof entry.id === 'string' && VERDICTS.includes(entry.verdict);
+        return {
+            titles: Array.isArray(value.titles) ? value.titles.filter(entry => isValid(entry) && typeof entry.title === 'string') : [],
+            channels: Array.isArray(value.channels) ? value.channels.filter(entry => isValid(entry) && (entry.channel || entry.handle)) : []
+        };
+    }
+
+    /**
+     * Finds a correction that overrides the decision for a video. Title
+     * corrections only count for the goal they were made under.
+     * @param {{titles: Array<Object>, channels: Array<Object>}} corrections - Normalized corrections
+     * @param {{title: string, channel: ?string, handle: ?string}} video
+     * @param {string} goal - Active focus goal
+     * @returns {Object|null} The matching correction, with `kind` set to 'title' or 'channel'
+     */
+    function findCorrection(corrections, video, goal) {
+        const title = corrections.titles.find(entry => entry.title === video.title && entry.goal === goal);
+        if (title) return { kind: 'title', ...title };
+
+        const sameText = (a, b) => !!a && !!b && a.toLowerCase() === b.toLowerCase();
+        const channel = corrections.channels.find(entry =>
+            sameText(entry.handle, video.handle) || sameText(entry.channel, video.channel));
+        return channel ? { kind: 'channel', ...channel } : null;
+    }
+
+    // ============================================================================
+    // DECISIONS
+    // ============================================================================
+
+    /**
+     * Applies a strictness mode to a zero-shot classification result
+     * @param {{labels: Array<string>, scores: Array<number>}} result - Classifier output, sorted by score
+     * @param {string} goal - The focus goal label
+     * @param {Object} strictness - Normalized strictness settings
+     * @returns {boolean} Whether the video should stay visible
+     */
+    function shouldShowResult(result, goal, strictness) {
+        const topLabel = result.labels[0];
+        if (topLabel === goal) return true;
+
+        const goalIndex = result.labels.indexOf(goal);
+        const goalScore = goalIndex === -1 ? 0 : result.scores[goalIndex];
+        const distractionScore = result.scores[0];
+
+        switch (strictness.mode) {
+            case 'threshold':
+                return distractionScore < strictness.threshold;
+            case 'margin':
+                return distractionScore - goalScore < strictness.margin;
+            default:
+                return false;
+        }
+    }
+
+    return {
+        ALL_DAYS,
+        DEFAULT_BLACKLIST,
+        DEFAULT_DISTRACTION_LABELS,
+        DEFAULT_STRICTNESS,
+        DEFAULT_WATCH_GUARD,
+        STRICTNESS_MODES,
+        SUPPORTED_MODELS,
+        WATCH_GATES,
+        addOverrideSeconds,
+        createProfileId,
+        findCorrection,
+        getActiveProfile,
+        getOverrideSecondsLeft,
+        getProfiles,
+        getScheduledProfile,
+        isWindowActive,
+        normalizeCorrections,
+        normalizeLabels,
+        normalizeModelId,
+        normalizeProfile,
+        normalizeSchedule,
+        normalizeStrictness,
+        normalizeWatchGuard,
+        resolveActiveProfileId,
+        shouldShowResult
+    };
+});
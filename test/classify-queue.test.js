@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const FocusSettings = require('../settings.js');
+const FocusClassifyQueue = require('../classify-queue.js');
+const { createStubModel } = require('./helpers.js');
+
+const GOAL = 'Learn Python';
+
+// Python-looking titles get the goal as top label, everything else "gaming"
+const pickLabel = (text, labels) => (/python|decorator/i.test(text) ? labels[0] : 'gaming');
+
+function createQueue({ model = createStubModel(pickLabel), strictness = null, cache = new Map() } = {}) {
+    const inferences = [];
+    const queue = FocusClassifyQueue.createClassifyQueue({
+        getConfig: async () => ({
+            modelId: 'stub',
+            labels: FocusSettings.normalizeLabels(null),
+            strictness: FocusSettings.normalizeStrictness(strictness)
+        }),
+        getModel: async () => model,
+        cache: { get: async key => cache.get(key) || null, set: (key, result) => cache.set(key, result) },
+        onInference: (count, ms) => inferences.push({ count, ms }),
+        batchSize: 3
+    });
+    return { queue, model, cache, inferences };
+}
+
+test.beforeEach((t) => {
+    // The queue logs every classification
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'warn', () => {});
+});
+
+test('getLabels puts the goal first and drops a category equal to it', () => {
+    assert.deepEqual(FocusClassifyQueue.getLabels('Gaming', ['gaming', 'vlog']), ['Gaming', 'vlog']);
+    assert.deepEqual(FocusClassifyQueue.getLabels(GOAL, ['gaming', 'vlog']), [GOAL, 'gaming', 'vlog']);
+});
+
+test('titles asked for together share model calls of up to batchSize', async () => {
+    const { queue, model, inferences } = createQueue();
+    const titles = ['Python decorators', 'Zelda speedrun', 'Python asyncio', 'Minecraft hardcore', 'Learn Python fast'];
+    const results = await Promise.all(titles.map(title => queue.classify(title, GOAL)));
+
+    assert.deepEqual(results.map(result => result.shouldShow), [true, false, true, false, true]);
+    assert.deepEqual(results[1], { shouldShow: false, label: 'gaming', confidence: 0.9 });
+    // The first title starts the model right away; the rest queue up behind it
+    const sizes = model.calls.map(call => call.texts.length);
+    assert.deepEqual(sizes, [1, 3, 1]);
+    assert.deepEqual(model.calls[0].labels, [GOAL, ...FocusSettings.DEFAULT_DISTRACTION_LABELS]);
+    assert.deepEqual(inferences.map(entry => entry.count), sizes);
+    assert.equal(queue.getQueueDepth(), 0);
+});
+
+test('results are cached per model, goal and label set', async () => {
+    const { queue, model, cache } = createQueue();
+    await queue.classify('Zelda speedrun', GOAL);
+    const again = await queue.classify('Zelda speedrun', GOAL);
+
+    assert.equal(model.calls.length, 1);
+    assert.equal(again.shouldShow, false);
+    assert.equal(cache.size, 1);
+    assert.ok([...cache.keys()][0].startsWith(`stub\u0000${GOAL}\u0000`));
+
+    await queue.classify('Zelda speedrun', 'Learn Rust');
+    assert.equal(model.calls.length, 2);
+});
+
+test('identical titles in flight share one answer', async () => {
+    const { queue, model } = createQueue();
+    const [first, second] = await Promise.all([queue.classify('Zelda speedrun', GOAL), queue.classify('Zelda speedrun', GOAL)]);
+    assert.deepEqual(first, second);
+    assert.deepEqual(model.calls.map(call => call.texts), [['Zelda speedrun']]);
+});
+
+test('strictness decides over cached results too', async () => {
+    const cache = new Map();
+    await createQueue({ cache }).queue.classify('Zelda speedrun', GOAL);
+
+    // The distraction scored 0.9, under a 0.95 threshold
+    const { queue, model } = createQueue({ cache, strictness: { mode: 'threshold', threshold: 0.95 } });
+    const result = await queue.classify('Zelda speedrun', GOAL);
+    assert.equal(result.shouldShow, true);
+    assert.equal(model.calls.length, 0);
+});
+
+test('fails safe without a model or when the model throws', async () => {
+    const missing = createQueue({ model: null });
+    assert.deepEqual(await missing.queue.classify('Zelda speedrun', GOAL), { shouldShow: true });
+
+    const broken = async () => {
+        throw new Error('session lost');
+    };
+    const failing = createQueue({ model: broken });
+    assert.deepEqual(await failing.queue.classify('Zelda speedrun', GOAL), { shouldShow: true });
+    // Failures are not cached
+    assert.equal(failing.cache.size, 0);
+});
+
+test('classifyBatch answers every item in order and shows failing ones', async () => {
+    const { queue } = createQueue();
+    const classifyTitle = (title, goal) => (title === 'boom' ? Promise.reject(new Error('boom')) : queue.classify(title, goal));
+    const results = await FocusClassifyQueue.classifyBatch([
+        { title: 'Python decorators', goal: GOAL },
+        { title: 'boom', goal: GOAL },
+        { title: 'Zelda speedrun', goal: GOAL }
+    ], classifyTitle);
+
+    assert.deepEqual(results.map(result => result.shouldShow), [true, true, false]);
+    assert.deepEqual(await FocusClassifyQueue.classifyBatch(undefined, classifyTitle), []);
+});
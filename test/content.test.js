@@ -0,0 +1,151 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { closePage, createChrome, createStubModel, loadFixture, runContentScripts, waitFor } = require('./helpers.js');
+
+const STORAGE = {
+    profiles: [{ id: 'python', name: 'Python', goal: 'Learn Python', schedule: [] }],
+    activeProfileId: 'python'
+};
+
+// Decorators and list comprehensions are on-goal; travel and anime are not
+const pickLabel = (text, labels) => {
+    if (/decorator|comprehension/i.test(text)) return labels[0];
+    return /anime/i.test(text) ? 'anime' : 'vlog';
+};
+
+function startPage(name, storage = STORAGE) {
+    const dom = loadFixture(name);
+    const model = createStubModel(pickLabel);
+    const chrome = createChrome({ storage: JSON.parse(JSON.stringify(storage)), model });
+    runContentScripts(dom, chrome);
+    return { dom, chrome, model, document: dom.window.document };
+}
+
+function hiddenTiles(document, selector) {
+    return [...document.querySelectorAll(selector)].map(node => node.style.display === 'none');
+}
+
+test.beforeEach((t) => {
+    // The background queue logs every classification
+    t.mock.method(console, 'log', () => {});
+});
+
+const allDone = (document, selector) => [...document.querySelectorAll(selector)]
+    .every(node => node.getAttribute('data-focus-processed') === 'done');
+
+test('home feed: keyword, blacklist and AI decisions', async (t) => {
+    const { dom, chrome, model, document } = startPage('home');
+    t.after(() => closePage(dom));
+
+    await waitFor(() => allDone(document, 'ytd-rich-item-renderer'));
+    assert.deepEqual(hiddenTiles(document, 'ytd-rich-item-renderer'), [false, true, true, false]);
+
+    // Only the two titles without a keyword or blacklist word reached the model
+    assert.deepEqual(model.calls.flatMap(call => call.texts).sort(), ['A week living in Tokyo on a budget', 'Decorators explained in 10 minutes']);
+    assert.ok(chrome.messages.some(message => message.type === 'classifyBatch'));
+
+    const badge = document.querySelector('ytd-rich-item-renderer .focus-badge span');
+    assert.equal(badge.textContent, '✅ Goal keyword "python"');
+});
+
+test('search results', async (t) => {
+    const { dom, document } = startPage('search');
+    t.after(() => closePage(dom));
+
+    await waitFor(() => allDone(document, 'ytd-video-renderer'));
+    // Decorators stays, the official music video hits the blacklist, the energy drink video is a vlog
+    assert.deepEqual(hiddenTiles(document, 'ytd-video-renderer'), [false, true, true]);
+});
+
+test('reveal mode collapses hidden tiles behind their badge', async (t) => {
+    const { dom, document } = startPage('search', { ...STORAGE, revealMode: true });
+    t.after(() => closePage(dom));
+
+    await waitFor(() => allDone(document, 'ytd-video-renderer'));
+    const tiles = [...document.querySelectorAll('ytd-video-renderer')];
+    assert.ok(tiles.every(tile => tile.style.display !== 'none'));
+    assert.deepEqual(tiles.map(tile => tile.classList.contains('focus-collapsed')), [false, true, true]);
+    assert.match(tiles[1].querySelector('.focus-badge span').textContent, /Blacklist word "Music"/);
+});
+
+test('settings changes re-evaluate the feed', async (t) => {
+    const { dom, chrome, document } = startPage('home');
+    t.after(() => closePage(dom));
+    await waitFor(() => allDone(document, 'ytd-rich-item-renderer'));
+
+    chrome.setStorage({ rules: [{ id: 'mc', action: 'allow', field: 'channel', match: 'exact', value: '@blockbuilder' }] });
+    await waitFor(() => allDone(document, 'ytd-rich-item-renderer'));
+    assert.deepEqual(hiddenTiles(document, 'ytd-rich-item-renderer'), [false, false, true, false]);
+
+    // No active profile: nothing is filtered
+    chrome.setStorage({ activeProfileId: null });
+    await waitFor(() => !document.querySelector('[data-focus-processed]'));
+    assert.ok([...document.querySelectorAll('ytd-rich-item-renderer')].every(tile => tile.style.display === ''));
+});
+
+test('each video is logged once per page view and profile', async (t) => {
+    const rust = { id: 'rust', name: 'Rust', goal: 'Learn Rust', schedule: [] };
+    const { dom, chrome, document } = startPage('home', { ...STORAGE, profiles: [...STORAGE.profiles, rust] });
+    t.after(() => closePage(dom));
+    const feed = document.querySelector('ytd-rich-grid-renderer #contents');
+    const feedHtml = feed.innerHTML;
+    await waitFor(() => allDone(document, 'ytd-rich-item-renderer'));
+
+    chrome.setStorage({ revealMode: true });
+    await waitFor(() => allDone(document, 'ytd-rich-item-renderer'));
+    chrome.setStorage({ revealMode: false });
+    await waitFor(() => allDone(document, 'ytd-rich-item-renderer'));
+    // "Show anyway" on a hidden tile is not a new decision either
+    chrome.setStorage({ revealMode: true });
+    await waitFor(() => allDone(document, 'ytd-rich-item-renderer'));
+    document.querySelectorAll('ytd-rich-item-renderer')[1].querySelector('.focus-badge button').click();
+
+    // Another profile judges the same feed anew
+    chrome.setStorage({ activeProfileId: 'rust' });
+    await waitFor(() => allDone(document, 'ytd-rich-item-renderer'));
+
+    // Coming back to the home feed through a page that logs nothing is a new page view
+    dom.window.history.pushState({}, '', '/feed/subscriptions');
+    document.dispatchEvent(new dom.window.Event('yt-navigate-finish'));
+    dom.window.history.pushState({}, '', '/');
+    feed.innerHTML = feedHtml;
+    document.dispatchEvent(new dom.window.Event('yt-navigate-finish'));
+    await waitFor(() => allDone(document, 'ytd-rich-item-renderer'));
+
+    // Leaving the page flushes the log
+    dom.window.dispatchEvent(new dom.window.Event('pagehide'));
+    const entries = chrome.messages.filter(message => message.type === 'logDecisions').flatMap(message => message.entries);
+    const outcomes = profileId => entries.filter(entry => entry.profileId === profileId).map(entry => entry.outcome).sort();
+    assert.equal(entries.length, 12);
+    assert.deepEqual(outcomes('python'), ['hidden', 'hidden', 'shown', 'shown']);
+    assert.equal(outcomes('rust').length, 8);
+});
+
+test('watch page: off-goal video is held behind the guard and autoplay is cancelled', async (t) => {
+    const dom = loadFixture('watch');
+    t.after(() => closePage(dom));
+    const { document } = dom.window;
+    const player = document.querySelector('#movie_player video');
+    let paused = 0;
+    player.pause = () => paused++;
+    // jsdom does no layout; the end screen counts as visible
+    document.querySelector('.ytp-autonav-endscreen-upnext-container').getClientRects = () => [{}];
+    let cancelled = false;
+    document.querySelector('.ytp-autonav-endscreen-upnext-cancel-button').addEventListener('click', () => {
+        cancelled = true;
+    });
+
+    const model = createStubModel(pickLabel);
+    runContentScripts(dom, createChrome({ storage: JSON.parse(JSON.stringify(STORAGE)), model }));
+
+    const overlay = await waitFor(() => document.getElementById('focus-guard'));
+    assert.equal(overlay.querySelector('.focus-guard-title').textContent, 'Minecraft Hardcore Gameplay - Day 100');
+    assert.equal(overlay.querySelector('.focus-guard-note').textContent, 'Blacklist word "Gameplay"');
+    assert.equal(overlay.querySelector('.focus-guard-continue').disabled, true);
+    assert.ok(paused > 0);
+
+    await waitFor(() => cancelled);
+
+    await waitFor(() => allDone(document, '#secondary ytd-compact-video-renderer, #secondary yt-lockup-view-model, #movie_player .ytp-videowall-still'));
+    assert.deepEqual(hiddenTiles(document, 'ytd-compact-video-renderer, yt-lockup-view-model'), [false, true]);
+});
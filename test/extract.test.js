@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const FocusExtract = require('../extract.js');
+const { closePage, loadFixture } = require('./helpers.js');
+
+function readTiles(name) {
+    const dom = loadFixture(name);
+    const { document } = dom.window;
+    const surfaceName = FocusExtract.getCurrentSurface(dom.window.location.pathname);
+    const selector = FocusExtract.getSurfaceSelector(FocusExtract.SURFACES[surfaceName]);
+    const tiles = [...document.querySelectorAll(selector)].map(node => ({
+        title: FocusExtract.getVideoTitle(node),
+        channel: FocusExtract.getVideoChannel(node),
+        handle: FocusExtract.getVideoHandle(node),
+        duration: FocusExtract.getVideoDuration(node)
+    }));
+    closePage(dom);
+    return { surfaceName, tiles };
+}
+
+test('home page tiles', () => {
+    const { surfaceName, tiles } = readTiles('home');
+    assert.equal(surfaceName, 'home');
+    assert.deepEqual(tiles, [
+        { title: 'Python Tutorial for Beginners - Full Course in 12 Hours', channel: 'Programming with Mosh', handle: '@programmingwithmosh', duration: 22447 },
+        { title: 'Minecraft Hardcore Gameplay - Day 100', channel: 'BlockBuilder', handle: '@blockbuilder', duration: 1491 },
+        { title: 'A week living in Tokyo on a budget', channel: 'Wander Days', handle: '@wanderdays', duration: 1083 },
+        { title: 'Decorators explained in 10 minutes', channel: 'Corey Schafer', handle: '@coreyms', duration: 702 }
+    ]);
+});
+
+test('search result tiles', () => {
+    const { surfaceName, tiles } = readTiles('search');
+    assert.equal(surfaceName, 'search');
+    assert.deepEqual(tiles, [
+        { title: 'Python Tutorial: Decorators - Dynamically Alter The Functionality Of Your Functions', channel: 'Corey Schafer', handle: '@coreyms', duration: 702 },
+        { title: 'Rick Astley - Never Gonna Give You Up (Official Music Video)', channel: 'Rick Astley', handle: '@RickAstleyYT', duration: 213 },
+        { title: 'I tried every energy drink so you don\'t have to', channel: 'Snack Attack', handle: '@snackattack', duration: 3735 }
+    ]);
+});
+
+test('watch page end screen and recommendations', () => {
+    const { surfaceName, tiles } = readTiles('watch');
+    assert.equal(surfaceName, 'watch');
+    assert.deepEqual(tiles, [
+        { title: 'Learn Python in 1 Hour', channel: 'Programming with Mosh', handle: null, duration: 3606 },
+        { title: 'Python list comprehensions in 15 minutes', channel: 'Tech With Tim', handle: null, duration: 920 },
+        { title: 'Top 10 Anime Fights of the Decade', channel: 'Anime Arena', handle: null, duration: 2530 }
+    ]);
+});
+
+test('getWatchVideo reads the video being watched', () => {
+    const dom = loadFixture('watch');
+    const { document } = dom.window;
+    const video = FocusExtract.getWatchVideo(document);
+
+    assert.equal(video.key, 'Qm1n3cRaFt0\u0000Minecraft Hardcore Gameplay - Day 100');
+    assert.equal(video.title, 'Minecraft Hardcore Gameplay - Day 100');
+    assert.equal(video.channel, 'BlockBuilder');
+    assert.equal(video.handle, '@blockbuilder');
+    assert.equal(video.description, 'Day 100 of surviving in hardcore mode. Building the ultimate base, fighting the wither and finally finishing the mega farm.');
+
+    // Until YouTube swaps the page element, the metadata belongs to the previous video
+    document.querySelector('ytd-watch-flexy').setAttribute('video-id', 'previousVid');
+    assert.equal(FocusExtract.getWatchVideo(document), null);
+    closePage(dom);
+});
+
+test('getUpNextVideo reads the autoplay end screen', () => {
+    const dom = loadFixture('watch');
+    assert.deepEqual(FocusExtract.getUpNextVideo(dom.window.document), {
+        title: 'Speedrunning every Zelda game back to back',
+        channel: 'RetroRuns',
+        handle: null,
+        duration: null
+    });
+    closePage(dom);
+});
+
+test('surfaces', () => {
+    assert.equal(FocusExtract.getCurrentSurface('/'), 'home');
+    assert.equal(FocusExtract.getCurrentSurface('/results'), 'search');
+    assert.equal(FocusExtract.getCurrentSurface('/watch'), 'watch');
+    assert.equal(FocusExtract.getCurrentSurface('/@coreyms/videos'), 'channel');
+    assert.equal(FocusExtract.getCurrentSurface('/feed/subscriptions'), null);
+    assert.equal(FocusExtract.isSurfaceEnabled(undefined, 'home'), true);
+    assert.equal(FocusExtract.isSurfaceEnabled({ home: false }, 'home'), false);
+});
+
+test('getDynamicKeywords drops stop words and short words', () => {
+    assert.deepEqual(FocusExtract.getDynamicKeywords('I want to learn Python!'), ['python']);
+    assert.deepEqual(FocusExtract.getDynamicKeywords('Best guide to React hooks & state'), ['react', 'hooks', 'state']);
+    assert.deepEqual(FocusExtract.getDynamicKeywords('Go in 5 min'), ['min']);
+    assert.deepEqual(FocusExtract.getDynamicKeywords(''), []);
+});
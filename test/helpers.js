@@ -0,0 +1,190 @@
+/**
+ * Test Helpers
+ *
+ * Loads the saved YouTube pages into jsdom, fakes the parts of the `chrome`
+ * API the content script uses and stands in for the zero-shot model, so the
+ * suite runs offline.
+ */
+const fs = require('fs');
+const path = require('path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+const FocusSettings = require('../settings.js');
+const FocusClassifyQueue = require('../classify-queue.js');
+
+const ROOT = path.join(__dirname, '..');
+
+// Where each fixture was saved from; extraction reads the path and query
+const FIXTURE_URLS = {
+    home: 'https://www.youtube.com/',
+    search: 'https://www.youtube.com/results?search_query=python+decorators',
+    watch: 'https://www.youtube.com/watch?v=Qm1n3cRaFt0'
+};
+
+// Same order as manifest.json
+const CONTENT_SCRIPTS = ['settings.js', 'rules.js', 'extract.js', 'pipeline.js', 'content.js'];
+
+/**
+ * Opens a fixture page. Close it with closePage() so its timers stop.
+ * @param {string} name - home, search or watch
+ * @returns {JSDOM}
+ */
+function loadFixture(name) {
+    const html = fs.readFileSync(path.join(__dirname, 'fixtures', `${name}.html`), 'utf8');
+    const dom = new JSDOM(html, {
+        url: FIXTURE_URLS[name],
+        runScripts: 'outside-only',
+        pretendToBeVisual: true,
+        // The content script logs every decision; nothing is forwarded to the test output
+        virtualConsole: new VirtualConsole()
+    });
+    // jsdom 29 (@asamuzakjp/dom-selector 7) hands element.querySelector to nwsapi's
+    // first(), which looks `#id` up document-wide. With YouTube's repeated ids (#text
+    // in every tile) it returns another tile's match or none. querySelectorAll is
+    // scoped correctly, as in browsers.
+    dom.window.Element.prototype.querySelector = function (selector) {
+        return this.querySelectorAll(selector)[0] || null;
+    };
+    return dom;
+}
+
+/**
+ * Stands in for the transformers.js zero-shot pipeline
+ * @param {function(string, Array<string>): string} pickLabel - Returns the top label for a text
+ * @returns {Function} Model with a `calls` list of {texts, labels}
+ */
+function createStubModel(pickLabel) {
+    const model = async (texts, labels) => {
+        model.calls.push({ texts, labels });
+        return texts.map((text) => {
+            const top = pickLabel(text, labels);
+            const rest = labels.filter(label => label !== top);
+            return { sequence: text, labels: [top, ...rest], scores: [0.9, ...rest.map(() => 0.1 / rest.length)] };
+        });
+    };
+    model.calls = [];
+    return model;
+}
+
+/**
+ * Fakes chrome.storage.local and chrome.runtime. `classifyBatch` messages go
+ * through the real queue with the given model; other messages are recorded.
+ * @param {Object} options
+ * @param {Object} [options.storage] - Initial chrome.storage.local contents
+ * @param {Function} [options.model] - Stub model, see createStubModel
+ * @returns {Object} The `chrome` object, plus the sent `messages` and `setStorage(items)`, which notifies listeners
+ */
+function createChrome({ storage = {}, model = null } = {}) {
+    const listeners = [];
+    const cache = new Map();
+    const queue = FocusClassifyQueue.createClassifyQueue({
+        getConfig: async () => ({
+            modelId: 'stub',
+            labels: FocusSettings.normalizeLabels(storage.distractionLabels),
+            strictness: FocusSettings.normalizeStrictness(null)
+        }),
+        getModel: async () => model,
+        cache: { get: async key => cache.get(key) || null, set: (key, result) => cache.set(key, result) }
+    });
+
+    const pick = (keys) => {
+        if (keys === null || keys === undefined) return { ...storage };
+        const list = Array.isArray(keys) ? keys : [keys];
+        const result = {};
+        list.forEach((key) => {
+            if (key in storage) result[key] = storage[key];
+        });
+        return result;
+    };
+
+    function setStorage(items) {
+        const changes = {};
+        Object.keys(items).forEach((key) => {
+            changes[key] = { oldValue: storage[key], newValue: items[key] };
+            storage[key] = items[key];
+        });
+        listeners.forEach(listener => listener(changes, 'local'));
+    }
+
+    const chrome = {
+        storage: {
+            local: {
+                get(keys, callback) {
+                    const result = pick(keys);
+                    if (callback) setTimeout(() => callback(result), 0);
+                    return Promise.resolve(result);
+                },
+                set(items, callback) {
+                    setTimeout(() => {
+                        setStorage(items);
+                        if (callback) callback();
+                    }, 0);
+                    return Promise.resolve();
+                }
+            },
+            onChanged: { addListener: listener => listeners.push(listener) }
+        },
+        runtime: {
+            lastError: undefined,
+            sendMessage(message, callback) {
+                chrome.messages.push(message);
+                const response = message.type === 'classifyBatch'
+                    ? FocusClassifyQueue.classifyBatch(message.items, (title, goal) => queue.classify(title, goal))
+                        .then(results => ({ results, queueDepth: queue.getQueueDepth() }))
+                    : Promise.resolve(undefined);
+                if (!callback) return response;
+                response.then(value => callback(value));
+                return undefined;
+            }
+        },
+        messages: [],
+        setStorage
+    };
+    return chrome;
+}
+
+/**
+ * Runs the content scripts in a fixture page, as the manifest would
+ * @param {JSDOM} dom
+ * @param {Object} chrome - From createChrome
+ */
+function runContentScripts(dom, chrome) {
+    dom.window.chrome = chrome;
+    CONTENT_SCRIPTS.forEach((file) => {
+        dom.window.eval(fs.readFileSync(path.join(ROOT, file), 'utf8'));
+    });
+}
+
+/**
+ * Closes a fixture page. Closing empties the document, which the content
+ * script's observer would answer with a frame callback on the closed window.
+ * @param {JSDOM} dom
+ */
+function closePage(dom) {
+    dom.window.requestAnimationFrame = () => 0;
+    dom.window.close();
+}
+
+/**
+ * Polls until `check` returns something truthy
+ * @param {Function} check
+ * @param {number} [timeoutMs]
+ * @returns {Promise<*>} What `check` returned
+ */
+async function waitFor(check, timeoutMs = 2000) {
+    const startedAt = Date.now();
+    for (;;) {
+        const value = check();
+        if (value) return value;
+        if (Date.now() - startedAt > timeoutMs) throw new Error(`Timed out after ${timeoutMs}ms`);
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+}
+
+module.exports = {
+    closePage,
+    createChrome,
+    createStubModel,
+    loadFixture,
+    runContentScripts,
+    waitFor
+};
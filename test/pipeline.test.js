@@ -0,0 +1,132 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const FocusPipeline = require('../pipeline.js');
+
+const PROFILE = { id: 'python', name: 'Python', goal: 'Learn Python', blacklist: ['Gameplay', 'Mix -'], schedule: [] };
+
+function createContext(settings = {}) {
+    return FocusPipeline.createFilterContext({ profiles: [PROFILE], activeProfileId: 'python', ...settings });
+}
+
+function video(title, extra = {}) {
+    return { title, channel: 'Some Channel', handle: '@somechannel', duration: 600, ...extra };
+}
+
+// Records what reaches the AI stage and answers with a fixed response
+function createClassify(response = { shouldShow: false, label: 'gaming', confidence: 0.8, latencyMs: 120 }) {
+    const classify = async (text, goal) => {
+        classify.calls.push({ text, goal });
+        return response;
+    };
+    classify.calls = [];
+    return classify;
+}
+
+test('createFilterContext without an active profile turns filtering off', () => {
+    const context = FocusPipeline.createFilterContext({ profiles: [PROFILE], activeProfileId: null });
+    assert.equal(context.profile, null);
+    assert.equal(context.watchGuard.enabled, true);
+});
+
+test('blacklist words hide titles as whole words', async () => {
+    const context = createContext();
+    const classify = createClassify();
+
+    const hidden = await FocusPipeline.judgeVideo(video('Elden Ring Gameplay Part 3'), context, classify);
+    assert.deepEqual(hidden, { shouldShow: false, stage: 'blacklist', reason: 'Blacklist word "Gameplay"' });
+
+    const hiddenMix = await FocusPipeline.judgeVideo(video('Mix - Lofi Hip Hop'), context, classify);
+    assert.equal(hiddenMix.stage, 'blacklist');
+
+    // "Gameplays" is not the word "Gameplay"; it falls through to the AI
+    const other = await FocusPipeline.judgeVideo(video('Gameplays compared'), context, classify);
+    assert.equal(other.stage, 'ai');
+    assert.equal(classify.calls.length, 1);
+});
+
+test('user rules run before the blacklist', async () => {
+    const context = createContext({
+        rules: [{ id: 'r1', action: 'allow', field: 'channel', match: 'exact', value: '@somechannel' }]
+    });
+    const decision = await FocusPipeline.judgeVideo(video('Python Gameplay Automation'), context, createClassify());
+    assert.deepEqual(decision, { shouldShow: true, stage: 'rule', reason: 'Allow: channel is "@somechannel"' });
+});
+
+test('corrections apply to the goal they were made under', async () => {
+    const corrections = {
+        titles: [{ id: 'c1', title: 'Async IO deep dive', goal: 'Learn Python', verdict: 'hide', ts: 1 }],
+        channels: [{ id: 'c2', channel: 'Some Channel', handle: null, verdict: 'show', ts: 1 }]
+    };
+    const context = createContext({ corrections });
+
+    const title = await FocusPipeline.judgeVideo(video('Async IO deep dive'), context, createClassify());
+    assert.deepEqual(title, { shouldShow: false, stage: 'correction', reason: 'You marked this title to hide' });
+
+    const channel = await FocusPipeline.judgeVideo(video('Minecraft Gameplay'), context, createClassify());
+    assert.deepEqual(channel, { shouldShow: true, stage: 'correction', reason: 'You marked this channel to always show' });
+});
+
+test('goal keywords show a title without asking the AI', async () => {
+    const classify = createClassify();
+    let aiPending = false;
+    const decision = await FocusPipeline.judgeVideo(video('PYTHON for data science'), createContext(), classify, () => {
+        aiPending = true;
+    });
+    assert.deepEqual(decision, { shouldShow: true, stage: 'keyword', reason: 'Goal keyword "python"' });
+    assert.equal(classify.calls.length, 0);
+    assert.equal(aiPending, false);
+});
+
+test('the AI judges everything else', async () => {
+    const classify = createClassify();
+    let aiPending = false;
+    const decision = await FocusPipeline.judgeVideo(video('Speedrunning Zelda'), createContext(), classify, () => {
+        aiPending = true;
+    });
+    assert.deepEqual(classify.calls, [{ text: 'Speedrunning Zelda', goal: 'Learn Python' }]);
+    assert.equal(aiPending, true);
+    assert.deepEqual(decision, {
+        shouldShow: false,
+        stage: 'ai',
+        reason: 'AI: "gaming" 80%',
+        label: 'gaming',
+        confidence: 0.8,
+        latencyMs: 120
+    });
+});
+
+test('the watch page sends channel and description to the AI', async () => {
+    const classify = createClassify({ shouldShow: true, label: 'Learn Python', confidence: 0.7 });
+    const decision = await FocusPipeline.judgeVideo(
+        video('Day 100', { channel: 'Coding Streams', description: 'Building a web scraper' }),
+        createContext(),
+        classify
+    );
+    assert.equal(classify.calls[0].text, 'Day 100\nCoding Streams\nBuilding a web scraper');
+    assert.equal(decision.reason, 'AI: your goal 70%');
+});
+
+test('describeClassification', () => {
+    assert.deepEqual(FocusPipeline.describeClassification({ timedOut: true, latencyMs: 3000 }, 'Learn Python'), {
+        shouldShow: true,
+        stage: 'timeout',
+        reason: 'AI timed out, shown to be safe',
+        latencyMs: 3000
+    });
+
+    // The worker answers { shouldShow: true } alone when the model is missing or failed
+    const unavailable = FocusPipeline.describeClassification({ shouldShow: true, latencyMs: 5 }, 'Learn Python');
+    assert.equal(unavailable.shouldShow, true);
+    assert.equal(unavailable.reason, 'AI unavailable');
+
+    const learned = FocusPipeline.describeClassification({
+        shouldShow: false,
+        label: 'Learn Python',
+        confidence: 0.6,
+        learnedFrom: 'Python gameplay bots for Minecraft',
+        similarity: 0.91
+    }, 'Learn Python');
+    assert.equal(learned.stage, 'learned');
+    assert.equal(learned.shouldShow, false);
+    assert.equal(learned.reason, 'Like "Python gameplay bots for Minec" you corrected (91% similar)');
+});
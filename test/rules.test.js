@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const FocusRules = require('../rules.js');
+
+function regexRule(value) {
+    return { id: 'r1', action: 'block', field: 'title', match: 'regex', value };
+}
+
+test('validateRule accepts plain regular expressions', () => {
+    assert.equal(FocusRules.validateRule(regexRule('^(python|rust) tutorial')), null);
+    assert.equal(FocusRules.validateRule(regexRule('day \\d+ of (hardcore )?survival')), null);
+    // Repeats inside a character class or escaped parentheses are not nested
+    assert.equal(FocusRules.validateRule(regexRule('([+*]\\d)+')), null);
+    assert.equal(FocusRules.validateRule(regexRule('\\(\\w+\\)+')), null);
+});
+
+test('validateRule rejects regular expressions that can backtrack for long', () => {
+    ['(a+)+$', '(\\w+\\s?)*$', '((ab)*c)+', '(?:x{2,})+y'].forEach((value) => {
+        assert.match(FocusRules.validateRule(regexRule(value)), /Nested repeats/, value);
+    });
+    assert.match(FocusRules.validateRule(regexRule('a'.repeat(101))), /100 characters/);
+    assert.match(FocusRules.validateRule(regexRule('(unclosed')), /Invalid regular expression/);
+});
+
+test('compileRules drops stored rules that no longer validate', () => {
+    const matchers = FocusRules.compileRules([regexRule('(a+)+$'), regexRule('gameplay')]);
+    assert.deepEqual(matchers.map(matcher => matcher.rule.value), ['gameplay']);
+});
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const FocusSettings = require('../settings.js');
+const FocusSchema = require('../schema.js');
+
+function settingsWithGoal(goal) {
+    return { profiles: [FocusSettings.normalizeProfile({ id: 'focus', name: 'Focus', goal })] };
+}
+
+test('migrateSettings turns a legacy goal into a profile', () => {
+    const settings = FocusSchema.migrateSettings({ focusGoal: 'learn rust', revealMode: true }, 0);
+    assert.equal(settings.focusGoal, undefined);
+    assert.equal(settings.revealMode, true);
+    assert.deepEqual(settings.profiles.map(profile => [profile.id, profile.goal]), [['default', 'learn rust']]);
+
+    // Already current: nothing to do
+    const current = { profiles: [{ id: 'a', goal: 'x' }] };
+    assert.deepEqual(FocusSchema.migrateSettings(current, FocusSchema.SCHEMA_VERSION), current);
+    assert.throws(() => FocusSchema.migrateSettings({}, FocusSchema.SCHEMA_VERSION + 1), /newer version/);
+});
+
+test('parseSettingsFile reads exported files and raw settings', () => {
+    const file = FocusSchema.createSettingsFile({ focusGoal: 'learn rust', activeProfileId: 'default' }, new Date(0));
+    assert.equal(file.exportedAt, '1970-01-01T00:00:00.000Z');
+    // Device state is not exported
+    assert.deepEqual(Object.keys(file.settings), ['profiles']);
+    assert.deepEqual(FocusSchema.parseSettingsFile(JSON.stringify(file)), file.settings);
+
+    assert.deepEqual(FocusSchema.parseSettingsFile('{"focusGoal": "learn rust"}'), file.settings);
+    assert.throws(() => FocusSchema.parseSettingsFile('{"focusGoal": '), /not a JSON file/);
+    assert.throws(() => FocusSchema.parseSettingsFile('{"theme": "dark"}'), /does not contain any YouTube Focus settings/);
+    assert.throws(() => FocusSchema.parseSettingsFile('[]'), /does not contain settings/);
+});
+
+test('sync items round-trip and keep emoji whole across chunks', () => {
+    // Pad the goal so the emoji's two UTF-16 halves sit on either side of a chunk boundary
+    const probe = JSON.stringify(settingsWithGoal('🎯'));
+    const settings = settingsWithGoal(`${'x'.repeat(2499 - probe.indexOf('🎯'))}🎯 learn rust`);
+    assert.equal(JSON.stringify(settings).indexOf('🎯'), 2499);
+
+    const { items, bytes } = FocusSchema.toSyncItems(settings, new Date(0));
+    const meta = items[FocusSchema.SYNC_META_KEY];
+    assert.equal(meta.chunks, 2);
+    assert.equal(items.focusSettings_0.length, 2499);
+    assert.ok(items.focusSettings_1.startsWith('🎯'));
+    // Each chunk survives a UTF-8 round trip, as chrome.storage.sync stores it
+    [items.focusSettings_0, items.focusSettings_1].forEach((chunk) => {
+        assert.equal(new TextDecoder().decode(new TextEncoder().encode(chunk)), chunk);
+    });
+    assert.ok(bytes > 2500);
+
+    assert.deepEqual(FocusSchema.fromSyncItems(items), settings);
+    assert.equal(FocusSchema.fromSyncItems({}), null);
+    assert.throws(() => FocusSchema.fromSyncItems({ ...items, focusSettings_1: undefined }), /incomplete/);
+});
+
+test('staleSyncKeys lists chunks past the current count', () => {
+    const items = { focusSettings: {}, focusSettings_0: '', focusSettings_1: '', focusSettings_2: '', other: 1 };
+    assert.deepEqual(FocusSchema.staleSyncKeys(items, 1), ['focusSettings_1', 'focusSettings_2']);
+});
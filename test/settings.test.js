@@ -0,0 +1,17 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const FocusSettings = require('../settings.js');
+
+test('profiles stored without an id keep the same id on every read', () => {
+    const stored = { profiles: [{ name: 'Python', goal: 'Learn Python' }, { id: 'rust', name: 'Rust' }], activeProfileId: 'profile-0' };
+    const first = FocusSettings.getProfiles(stored).map(profile => profile.id);
+    const second = FocusSettings.getProfiles(stored).map(profile => profile.id);
+
+    assert.deepEqual(first, ['profile-0', 'rust']);
+    assert.deepEqual(second, first);
+    assert.equal(FocusSettings.getActiveProfile(stored).goal, 'Learn Python');
+});
+
+test('a new profile gets a fresh id', () => {
+    assert.notEqual(FocusSettings.normalizeProfile({}).id, FocusSettings.normalizeProfile({}).id);
+});